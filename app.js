@@ -2,29 +2,65 @@
 // MEDIAN CUT COLOR QUANTIZATION ALGORITHM
 // ============================================
 
+// Pixels are stored packed as [r, g, b, r, g, b, ...] in a Uint8Array, so
+// large canvases don't allocate an array per pixel
+
+function pixelCount(pixels) {
+  return pixels.length / 3;
+}
+
+function pixelAt(pixels, i) {
+  return [pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2]];
+}
+
+// Packed copy of the pixels for which keep(i) is true
+function filterPixels(pixels, keep) {
+  const count = pixelCount(pixels);
+  const result = new Uint8Array(pixels.length);
+  let length = 0;
+  for (let i = 0; i < count; i++) {
+    if (!keep(i)) continue;
+    result[length++] = pixels[i * 3];
+    result[length++] = pixels[i * 3 + 1];
+    result[length++] = pixels[i * 3 + 2];
+  }
+  return result.slice(0, length);
+}
+
+// A box of unique colors: the range [start, end) of a shared index array
+// into the color histogram. Splitting reorders that range in place instead
+// of copying pixel arrays.
 class ColorBox {
-  constructor(pixels) {
-    this.pixels = pixels;
+  constructor(points, weights, order, start, end) {
+    this.points = points;
+    this.weights = weights;
+    this.order = order;
+    this.start = start;
+    this.end = end;
     this.computeBounds();
   }
   
+  get size() {
+    return this.end - this.start;
+  }
+  
+  // Works on any 3-channel points: RGB, or Lab in perceptual mode
   computeBounds() {
-    let rMin = 255, rMax = 0;
-    let gMin = 255, gMax = 0;
-    let bMin = 255, bMax = 0;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
     
-    for (const [r, g, b] of this.pixels) {
-      if (r < rMin) rMin = r;
-      if (r > rMax) rMax = r;
-      if (g < gMin) gMin = g;
-      if (g > gMax) gMax = g;
-      if (b < bMin) bMin = b;
-      if (b > bMax) bMax = b;
+    for (let i = this.start; i < this.end; i++) {
+      const p = this.order[i] * 3;
+      for (let c = 0; c < 3; c++) {
+        const v = this.points[p + c];
+        if (v < min[c]) min[c] = v;
+        if (v > max[c]) max[c] = v;
+      }
     }
     
-    this.rRange = rMax - rMin;
-    this.gRange = gMax - gMin;
-    this.bRange = bMax - bMin;
+    this.rRange = max[0] - min[0];
+    this.gRange = max[1] - min[1];
+    this.bRange = max[2] - min[2];
   }
   
   get longestAxis() {
@@ -37,43 +73,64 @@ class ColorBox {
     return this.rRange * this.gRange * this.bRange;
   }
   
+  // Split at the pixel-weighted median along the longest axis
   split() {
     const axis = this.longestAxis;
-    const sorted = [...this.pixels].sort((a, b) => a[axis] - b[axis]);
-    const mid = Math.floor(sorted.length / 2);
+    const { points, weights, order, start, end } = this;
+    order.subarray(start, end).sort((a, b) => points[a * 3 + axis] - points[b * 3 + axis]);
+    
+    let total = 0;
+    for (let i = start; i < end; i++) total += weights[order[i]];
+    let mid = start + 1;
+    let running = weights[order[start]];
+    while (mid < end - 1 && running < total / 2) {
+      running += weights[order[mid]];
+      mid++;
+    }
+    
     return [
-      new ColorBox(sorted.slice(0, mid)),
-      new ColorBox(sorted.slice(mid))
+      new ColorBox(points, weights, order, start, mid),
+      new ColorBox(points, weights, order, mid, end)
     ];
   }
   
   average() {
-    let rSum = 0, gSum = 0, bSum = 0;
-    for (const [r, g, b] of this.pixels) {
-      rSum += r;
-      gSum += g;
-      bSum += b;
+    const sums = [0, 0, 0];
+    let n = 0;
+    for (let i = this.start; i < this.end; i++) {
+      const idx = this.order[i];
+      const w = this.weights[idx];
+      sums[0] += this.points[idx * 3] * w;
+      sums[1] += this.points[idx * 3 + 1] * w;
+      sums[2] += this.points[idx * 3 + 2] * w;
+      n += w;
     }
-    const n = this.pixels.length;
-    return [
-      Math.round(rSum / n),
-      Math.round(gSum / n),
-      Math.round(bSum / n)
-    ];
+    return sums.map(sum => Math.round(sum / n));
   }
 }
 
-function medianCut(pixels, maxColors) {
+function medianCut(pixels, maxColors, colorSpace = 'rgb') {
   if (pixels.length === 0) return [];
   
-  let boxes = [new ColorBox(pixels)];
+  // Work on unique colors weighted by pixel count. In perceptual mode,
+  // split boxes in Lab space and convert back at the end.
+  const usesLab = colorSpace === 'lab';
+  const histogram = buildColorHistogram(pixels);
+  const points = new Float64Array(histogram.length * 3);
+  const weights = new Float64Array(histogram.length);
+  histogram.forEach(({ rgb, count }, i) => {
+    points.set(usesLab ? rgbToLab(...rgb) : rgb, i * 3);
+    weights[i] = count;
+  });
+  const order = Uint32Array.from(histogram, (_, i) => i);
+  let boxes = [new ColorBox(points, weights, order, 0, histogram.length)];
   
   while (boxes.length < maxColors) {
     // Find box with largest volume that can be split
     let maxVolume = -1;
     let maxIdx = -1;
     for (let i = 0; i < boxes.length; i++) {
-      if (boxes[i].pixels.length > 1 && boxes[i].volume > maxVolume) {
+      if (boxes[i].size > 1 && boxes[i].volume > maxVolume) {
         maxVolume = boxes[i].volume;
         maxIdx = i;
       }
@@ -85,129 +142,2270 @@ function medianCut(pixels, maxColors) {
     boxes.splice(maxIdx, 1, box1, box2);
   }
   
+  if (usesLab) {
+    return boxes.map(box => labToRgb(...box.average()));
+  }
   return boxes.map(box => box.average());
 }
 
-// Find nearest palette color for a pixel
-function findNearestColor(r, g, b, palette) {
+// Index of the nearest palette color for a pixel. RGB mode uses Euclidean
+// distance; 'lab' mode compares with CIEDE2000.
+function findNearestIndex(r, g, b, palette, colorSpace = 'rgb') {
   let minDist = Infinity;
-  let nearest = palette[0];
+  let nearestIdx = 0;
+  
+  if (colorSpace === 'lab') {
+    const lab = rgbToLab(r, g, b);
+    const paletteLab = getPaletteLab(palette);
+    for (let i = 0; i < paletteLab.length; i++) {
+      const dist = deltaE2000(lab, paletteLab[i]);
+      if (dist < minDist) {
+        minDist = dist;
+        nearestIdx = i;
+      }
+    }
+    return nearestIdx;
+  }
   
-  for (const [pr, pg, pb] of palette) {
+  for (let i = 0; i < palette.length; i++) {
+    const [pr, pg, pb] = palette[i];
     const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
     if (dist < minDist) {
       minDist = dist;
-      nearest = [pr, pg, pb];
+      nearestIdx = i;
     }
   }
   
-  return nearest;
+  return nearestIdx;
+}
+
+// Find nearest palette color for a pixel
+function findNearestColor(r, g, b, palette, colorSpace = 'rgb') {
+  const [pr, pg, pb] = palette[findNearestIndex(r, g, b, palette, colorSpace)];
+  return [pr, pg, pb];
 }
 
 // ============================================
-// IMAGE PROCESSING
+// ALTERNATIVE QUANTIZERS (K-MEANS, OCTREE, WU)
 // ============================================
 
-function rgbToHex(r, g, b) {
-  return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0').toUpperCase()).join('');
+// Run the selected quantization algorithm and return an RGB palette
+function quantize(pixels, maxColors, { algorithm = 'median-cut', colorSpace = 'rgb' } = {}) {
+  switch (algorithm) {
+    case 'kmeans':
+      return kMeansRefine(pixels, medianCut(pixels, maxColors, colorSpace), colorSpace);
+    case 'octree':
+      return octreeQuantize(pixels, maxColors);
+    case 'wu':
+      return wuQuantize(pixels, maxColors);
+    default:
+      return medianCut(pixels, maxColors, colorSpace);
+  }
 }
 
-function processImage(img, targetHeight, targetWidth, maxColors) {
-  const canvas = document.getElementById('processingCanvas');
-  const ctx = canvas.getContext('2d');
+// Collapse pixels into unique colors with their pixel counts
+function buildColorHistogram(pixels) {
+  const counts = new Map();
+  for (let i = 0; i < pixels.length; i += 3) {
+    const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].map(([key, count]) => ({
+    rgb: [(key >> 16) & 255, (key >> 8) & 255, key & 255],
+    count
+  }));
+}
+
+function squaredDistance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+// Lloyd's k-means starting from an existing palette. Works on the color
+// histogram rather than every pixel, so each pass is cheap. In Lab mode the
+// clusters use plain Euclidean Lab distance, which is what the mean update
+// minimizes (CIEDE2000 is used again when pixels are mapped to the palette).
+function kMeansRefine(pixels, palette, colorSpace = 'rgb', maxIterations = 10) {
+  if (palette.length === 0) return palette;
   
-  // Set canvas to target size
-  canvas.width = targetWidth;
-  canvas.height = targetHeight;
+  const usesLab = colorSpace === 'lab';
+  const histogram = buildColorHistogram(pixels);
+  const points = histogram.map(({ rgb }) => (usesLab ? rgbToLab(...rgb) : rgb));
+  let centers = palette.map(color => (usesLab ? rgbToLab(...color) : [...color]));
+  const assignments = new Int32Array(points.length).fill(-1);
   
-  // Fill with white (handle transparency)
-  ctx.fillStyle = '#FFFFFF';
-  ctx.fillRect(0, 0, targetWidth, targetHeight);
+  for (let iter = 0; iter < maxIterations; iter++) {
+    let changed = false;
+    
+    for (let i = 0; i < points.length; i++) {
+      let best = 0;
+      let bestDist = Infinity;
+      for (let c = 0; c < centers.length; c++) {
+        const dist = squaredDistance(points[i], centers[c]);
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = c;
+        }
+      }
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    }
+    
+    if (!changed) break;
+    
+    // Move each center to the weighted mean of its members
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    for (let i = 0; i < points.length; i++) {
+      const sum = sums[assignments[i]];
+      const weight = histogram[i].count;
+      sum[0] += points[i][0] * weight;
+      sum[1] += points[i][1] * weight;
+      sum[2] += points[i][2] * weight;
+      sum[3] += weight;
+    }
+    centers = centers.map((center, c) => {
+      const [s0, s1, s2, n] = sums[c];
+      return n > 0 ? [s0 / n, s1 / n, s2 / n] : center;
+    });
+  }
   
-  // Draw image resized with high quality
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = 'high';
-  ctx.drawImage(img, 0, 0, targetWidth, targetHeight);
+  return centers.map(center => (usesLab ? labToRgb(...center) : center.map(Math.round)));
+}
+
+// Octree quantization: build an 8-level tree of RGB bits, then fold the
+// smallest deepest branches into their parents until few enough leaves remain
+function octreeQuantize(pixels, maxColors) {
+  const MAX_DEPTH = 8;
+  const root = { count: 0, rSum: 0, gSum: 0, bSum: 0, children: null };
+  const levels = Array.from({ length: MAX_DEPTH }, () => []);
+  let leafCount = 0;
   
-  // Get pixel data
-  const imageData = ctx.getImageData(0, 0, targetWidth, targetHeight);
-  const data = imageData.data;
+  for (const { rgb: [r, g, b], count } of buildColorHistogram(pixels)) {
+    let node = root;
+    for (let level = 0; level <= MAX_DEPTH; level++) {
+      node.count += count;
+      node.rSum += r * count;
+      node.gSum += g * count;
+      node.bSum += b * count;
+      if (level === MAX_DEPTH) break;
+      
+      const shift = 7 - level;
+      const childIdx = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+      if (!node.children) {
+        node.children = new Array(8).fill(null);
+        levels[level].push(node);
+      }
+      if (!node.children[childIdx]) {
+        node.children[childIdx] = { count: 0, rSum: 0, gSum: 0, bSum: 0, children: null };
+        if (level === MAX_DEPTH - 1) leafCount++;
+      }
+      node = node.children[childIdx];
+    }
+  }
   
-  // Collect all pixels as RGB tuples
-  const pixels = [];
-  for (let i = 0; i < data.length; i += 4) {
-    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  // Reduce from the deepest level up, merging the least-used nodes first.
+  // A fold that would leave fewer colors than asked for is skipped, and the
+  // root is never folded.
+  const countLeaves = node => (node.children
+    ? node.children.reduce((sum, child) => sum + (child ? countLeaves(child) : 0), 0)
+    : 1);
+  for (let level = MAX_DEPTH - 1; level >= 1 && leafCount > maxColors; level--) {
+    const nodes = levels[level].sort((a, b) => a.count - b.count);
+    for (const node of nodes) {
+      if (leafCount <= maxColors) break;
+      const leaves = countLeaves(node);
+      if (leafCount - (leaves - 1) < maxColors) continue;
+      node.children = null;
+      leafCount -= leaves - 1;
+    }
   }
   
-  // Quantize colors using median cut
-  const palette = medianCut(pixels, maxColors);
+  const leaves = [];
+  const collect = node => {
+    if (!node.children) {
+      leaves.push(node);
+      return;
+    }
+    node.children.forEach(child => child && collect(child));
+  };
+  if (root.count > 0) collect(root);
   
-  // Map each pixel to nearest palette color and build grid
-  const gridData = [];
-  const colorCounts = new Map();
-  let pixelIdx = 0;
+  // Skipped folds can leave a few colors too many: merge the closest pair
+  // (weighted by stitch count) until the palette is the size asked for
+  const mean = node => [node.rSum / node.count, node.gSum / node.count, node.bSum / node.count];
+  while (leaves.length > maxColors) {
+    let best = null;
+    for (let i = 0; i < leaves.length; i++) {
+      for (let j = i + 1; j < leaves.length; j++) {
+        const a = leaves[i];
+        const b = leaves[j];
+        const cost = (a.count * b.count) / (a.count + b.count) * squaredDistance(mean(a), mean(b));
+        if (!best || cost < best.cost) best = { i, j, cost };
+      }
+    }
+    const [a, b] = [leaves[best.i], leaves[best.j]];
+    leaves[best.i] = {
+      count: a.count + b.count,
+      rSum: a.rSum + b.rSum,
+      gSum: a.gSum + b.gSum,
+      bSum: a.bSum + b.bSum,
+      children: null
+    };
+    leaves.splice(best.j, 1);
+  }
   
-  for (let row = 0; row < targetHeight; row++) {
-    const rowData = [];
-    for (let col = 0; col < targetWidth; col++) {
-      const [r, g, b] = pixels[pixelIdx];
-      const [pr, pg, pb] = findNearestColor(r, g, b, palette);
-      const hex = rgbToHex(pr, pg, pb);
-      
-      rowData.push(hex);
-      colorCounts.set(hex, (colorCounts.get(hex) || 0) + 1);
-      
-      // Also update the canvas with quantized colors
-      const dataIdx = pixelIdx * 4;
-      data[dataIdx] = pr;
-      data[dataIdx + 1] = pg;
-      data[dataIdx + 2] = pb;
-      
-      pixelIdx++;
+  return leaves.map(node => mean(node).map(Math.round));
+}
+
+// Xiaolin Wu's quantizer: cumulative color moments over a 32x32x32 grid let
+// every candidate box split be scored in constant time, cutting the box
+// with the largest variance at the point that minimizes the summed variance
+function wuQuantize(pixels, maxColors) {
+  if (pixels.length === 0) return [];
+  
+  const SIZE = 33;
+  const at = (r, g, b) => (r * SIZE + g) * SIZE + b;
+  const total = SIZE * SIZE * SIZE;
+  const wt = new Float64Array(total);
+  const mr = new Float64Array(total);
+  const mg = new Float64Array(total);
+  const mb = new Float64Array(total);
+  const m2 = new Float64Array(total);
+  
+  for (let p = 0; p < pixels.length; p += 3) {
+    const r = pixels[p];
+    const g = pixels[p + 1];
+    const b = pixels[p + 2];
+    const i = at((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+    wt[i]++;
+    mr[i] += r;
+    mg[i] += g;
+    mb[i] += b;
+    m2[i] += r * r + g * g + b * b;
+  }
+  
+  // Convert histogram into cumulative moments
+  const moments = [wt, mr, mg, mb, m2];
+  for (let r = 1; r < SIZE; r++) {
+    const area = moments.map(() => new Float64Array(SIZE));
+    for (let g = 1; g < SIZE; g++) {
+      const line = [0, 0, 0, 0, 0];
+      for (let b = 1; b < SIZE; b++) {
+        const i = at(r, g, b);
+        const prev = at(r - 1, g, b);
+        moments.forEach((m, k) => {
+          line[k] += m[i];
+          area[k][b] += line[k];
+          m[i] = m[prev] + area[k][b];
+        });
+      }
     }
-    gridData.push(rowData);
   }
   
-  // Put quantized image data back
-  ctx.putImageData(imageData, 0, 0);
+  const volume = (box, m) =>
+    m[at(box.r1, box.g1, box.b1)] - m[at(box.r1, box.g1, box.b0)]
+    - m[at(box.r1, box.g0, box.b1)] + m[at(box.r1, box.g0, box.b0)]
+    - m[at(box.r0, box.g1, box.b1)] + m[at(box.r0, box.g1, box.b0)]
+    + m[at(box.r0, box.g0, box.b1)] - m[at(box.r0, box.g0, box.b0)];
   
-  // Sort colors by frequency and assign codes
-  const sortedColors = [...colorCounts.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .map(([hex, count], idx) => ({
-      code: String(idx + 1),
+  const bottom = (box, dir, m) => {
+    if (dir === 'r') {
+      return -m[at(box.r0, box.g1, box.b1)] + m[at(box.r0, box.g1, box.b0)]
+        + m[at(box.r0, box.g0, box.b1)] - m[at(box.r0, box.g0, box.b0)];
+    }
+    if (dir === 'g') {
+      return -m[at(box.r1, box.g0, box.b1)] + m[at(box.r1, box.g0, box.b0)]
+        + m[at(box.r0, box.g0, box.b1)] - m[at(box.r0, box.g0, box.b0)];
+    }
+    return -m[at(box.r1, box.g1, box.b0)] + m[at(box.r1, box.g0, box.b0)]
+      + m[at(box.r0, box.g1, box.b0)] - m[at(box.r0, box.g0, box.b0)];
+  };
+  
+  const top = (box, dir, pos, m) => {
+    if (dir === 'r') {
+      return m[at(pos, box.g1, box.b1)] - m[at(pos, box.g1, box.b0)]
+        - m[at(pos, box.g0, box.b1)] + m[at(pos, box.g0, box.b0)];
+    }
+    if (dir === 'g') {
+      return m[at(box.r1, pos, box.b1)] - m[at(box.r1, pos, box.b0)]
+        - m[at(box.r0, pos, box.b1)] + m[at(box.r0, pos, box.b0)];
+    }
+    return m[at(box.r1, box.g1, pos)] - m[at(box.r1, box.g0, pos)]
+      - m[at(box.r0, box.g1, pos)] + m[at(box.r0, box.g0, pos)];
+  };
+  
+  const variance = box => {
+    const dr = volume(box, mr);
+    const dg = volume(box, mg);
+    const db = volume(box, mb);
+    return volume(box, m2) - (dr * dr + dg * dg + db * db) / volume(box, wt);
+  };
+  
+  // Best cut position along one axis, scored by between-box variance
+  const maximize = (box, dir, first, last, whole) => {
+    const base = [mr, mg, mb, wt].map(m => bottom(box, dir, m));
+    let max = 0;
+    let cut = -1;
+    for (let i = first; i < last; i++) {
+      const half = [mr, mg, mb, wt].map((m, k) => base[k] + top(box, dir, i, m));
+      if (half[3] === 0) continue;
+      let score = (half[0] ** 2 + half[1] ** 2 + half[2] ** 2) / half[3];
+      const rest = half.map((v, k) => whole[k] - v);
+      if (rest[3] === 0) continue;
+      score += (rest[0] ** 2 + rest[1] ** 2 + rest[2] ** 2) / rest[3];
+      if (score > max) {
+        max = score;
+        cut = i;
+      }
+    }
+    return { max, cut };
+  };
+  
+  const boxVolume = box => (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+  
+  // Split box1 in place, filling box2 with the other half
+  const cut = (box1, box2) => {
+    const whole = [mr, mg, mb, wt].map(m => volume(box1, m));
+    const maxR = maximize(box1, 'r', box1.r0 + 1, box1.r1, whole);
+    const maxG = maximize(box1, 'g', box1.g0 + 1, box1.g1, whole);
+    const maxB = maximize(box1, 'b', box1.b0 + 1, box1.b1, whole);
+    
+    let dir;
+    if (maxR.max >= maxG.max && maxR.max >= maxB.max) {
+      if (maxR.cut < 0) return false;
+      dir = 'r';
+    } else if (maxG.max >= maxR.max && maxG.max >= maxB.max) {
+      dir = 'g';
+    } else {
+      dir = 'b';
+    }
+    
+    box2.r1 = box1.r1;
+    box2.g1 = box1.g1;
+    box2.b1 = box1.b1;
+    box2.r0 = box1.r0;
+    box2.g0 = box1.g0;
+    box2.b0 = box1.b0;
+    if (dir === 'r') {
+      box2.r0 = box1.r1 = maxR.cut;
+    } else if (dir === 'g') {
+      box2.g0 = box1.g1 = maxG.cut;
+    } else {
+      box2.b0 = box1.b1 = maxB.cut;
+    }
+    return true;
+  };
+  
+  const boxes = [{ r0: 0, g0: 0, b0: 0, r1: SIZE - 1, g1: SIZE - 1, b1: SIZE - 1 }];
+  const variances = [0];
+  let next = 0;
+  
+  for (let i = 1; i < maxColors; i++) {
+    const box2 = {};
+    if (cut(boxes[next], box2)) {
+      boxes.push(box2);
+      variances[next] = boxVolume(boxes[next]) > 1 ? variance(boxes[next]) : 0;
+      variances[i] = boxVolume(box2) > 1 ? variance(box2) : 0;
+    } else {
+      // This box can't be split; try the next most varied one
+      variances[next] = 0;
+      i--;
+    }
+    
+    next = 0;
+    let maxVariance = variances[0];
+    for (let k = 1; k < boxes.length; k++) {
+      if (variances[k] > maxVariance) {
+        maxVariance = variances[k];
+        next = k;
+      }
+    }
+    if (maxVariance <= 0) break;
+  }
+  
+  const palette = [];
+  for (const box of boxes) {
+    const weight = volume(box, wt);
+    if (weight > 0) {
+      palette.push([
+        Math.round(volume(box, mr) / weight),
+        Math.round(volume(box, mg) / weight),
+        Math.round(volume(box, mb) / weight)
+      ]);
+    }
+  }
+  return palette;
+}
+
+// ============================================
+// DITHERING
+// ============================================
+
+// Error diffusion kernels as [dx, dy, weight]. Atkinson only passes on 6/8
+// of the error, which keeps flat areas cleaner than Floyd–Steinberg.
+const DITHER_KERNELS = {
+  'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+};
+
+// 8x8 Bayer threshold matrix (values 0-63), built by recursive doubling
+const BAYER_8X8 = (() => {
+  let matrix = [[0]];
+  while (matrix.length < 8) {
+    const n = matrix.length;
+    const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = matrix[y][x] * 4;
+        next[y][x] = v;
+        next[y][x + n] = v + 2;
+        next[y + n][x] = v + 3;
+        next[y + n][x + n] = v + 1;
+      }
+    }
+    matrix = next;
+  }
+  return matrix;
+})();
+
+// Map every pixel to a palette index, optionally dithering.
+// dither is 'none', 'floyd-steinberg', 'atkinson' or 'bayer'; strength is 0-1.
+// Pixels set in `mask` are skipped (index -1) and take no diffused error.
+// onProgress, if given, is called with the fraction of rows done.
+function mapPixelsToPalette(pixels, width, height, palette, options = {}) {
+  const { colorSpace = 'rgb', dither = 'none', ditherStrength = 1, mask = null, onProgress = null } = options;
+  const skip = i => Boolean(mask && mask[i]);
+  const indices = new Int32Array(width * height);
+  const rowDone = y => {
+    if (onProgress) onProgress((y + 1) / height);
+  };
+  
+  // Photos repeat colors heavily, so cache lookups (CIEDE2000 is expensive)
+  const cache = new Map();
+  const nearest = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let idx = cache.get(key);
+    if (idx === undefined) {
+      idx = findNearestIndex(r, g, b, palette, colorSpace);
+      cache.set(key, idx);
+    }
+    return idx;
+  };
+  const toByte = v => Math.max(0, Math.min(255, Math.round(v)));
+  
+  if (DITHER_KERNELS[dither]) {
+    const kernel = DITHER_KERNELS[dither];
+    const buffer = Float32Array.from(pixels);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (skip(i)) {
+          indices[i] = -1;
+          continue;
+        }
+        const r = toByte(buffer[i * 3]);
+        const g = toByte(buffer[i * 3 + 1]);
+        const b = toByte(buffer[i * 3 + 2]);
+        const idx = nearest(r, g, b);
+        indices[i] = idx;
+        
+        const [pr, pg, pb] = palette[idx];
+        const errR = (r - pr) * ditherStrength;
+        const errG = (g - pg) * ditherStrength;
+        const errB = (b - pb) * ditherStrength;
+        for (const [dx, dy, weight] of kernel) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height || skip(ny * width + nx)) continue;
+          const j = (ny * width + nx) * 3;
+          buffer[j] += errR * weight;
+          buffer[j + 1] += errG * weight;
+          buffer[j + 2] += errB * weight;
+        }
+      }
+      rowDone(y);
+    }
+    return indices;
+  }
+  
+  if (dither === 'bayer') {
+    // Offset each pixel by its threshold, scaled to the typical gap between
+    // palette colors so the pattern only mixes neighboring shades
+    const spread = (255 / Math.cbrt(palette.length)) * ditherStrength;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (skip(i)) {
+          indices[i] = -1;
+          continue;
+        }
+        const offset = ((BAYER_8X8[y % 8][x % 8] + 0.5) / 64 - 0.5) * spread;
+        const [r, g, b] = pixelAt(pixels, i);
+        indices[i] = nearest(toByte(r + offset), toByte(g + offset), toByte(b + offset));
+      }
+      rowDone(y);
+    }
+    return indices;
+  }
+  
+  for (let y = 0; y < height; y++) {
+    for (let i = y * width; i < (y + 1) * width; i++) {
+      indices[i] = skip(i) ? -1 : nearest(...pixelAt(pixels, i));
+    }
+    rowDone(y);
+  }
+  return indices;
+}
+
+// ============================================
+// PERCEPTUAL COLOR SPACE (CIELAB / CIEDE2000)
+// ============================================
+
+// Lab versions of palettes, so repeated lookups don't reconvert them
+const paletteLabCache = new WeakMap();
+
+function getPaletteLab(palette) {
+  let paletteLab = paletteLabCache.get(palette);
+  if (!paletteLab) {
+    paletteLab = palette.map(([r, g, b]) => rgbToLab(r, g, b));
+    paletteLabCache.set(palette, paletteLab);
+  }
+  return paletteLab;
+}
+
+// D65 reference white
+const LAB_WHITE = [0.95047, 1.0, 1.08883];
+
+function srgbToLinear(c) {
+  c /= 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(c) {
+  const v = c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(v * 255)));
+}
+
+function rgbToLab(r, g, b) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+  
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / LAB_WHITE[0];
+  const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / LAB_WHITE[1];
+  const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / LAB_WHITE[2];
+  
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+  
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function labToRgb(L, a, b) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  
+  const finv = t => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+  const x = finv(fx) * LAB_WHITE[0];
+  const y = finv(fy) * LAB_WHITE[1];
+  const z = finv(fz) * LAB_WHITE[2];
+  
+  return [
+    linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+    linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+    linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+  ];
+}
+
+// CIEDE2000 color difference between two Lab colors (Sharma et al. 2005)
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const deg = Math.PI / 180;
+  const pow25To7 = 6103515625; // 25^7
+  
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const cBar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + pow25To7)));
+  
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const hue = (bb, ap) => {
+    if (bb === 0 && ap === 0) return 0;
+    const h = Math.atan2(bb, ap) / deg;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+  
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp * deg) / 2);
+  
+  const lBarP = (L1 + L2) / 2;
+  const cBarP = (C1p + C2p) / 2;
+  let hBarP = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hBarP = (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2;
+    } else {
+      hBarP = (h1p + h2p) / 2;
+    }
+  }
+  
+  const T = 1
+    - 0.17 * Math.cos((hBarP - 30) * deg)
+    + 0.24 * Math.cos(2 * hBarP * deg)
+    + 0.32 * Math.cos((3 * hBarP + 6) * deg)
+    - 0.20 * Math.cos((4 * hBarP - 63) * deg);
+  const dTheta = 30 * Math.exp(-(((hBarP - 275) / 25) ** 2));
+  const cBarP7 = cBarP ** 7;
+  const RC = 2 * Math.sqrt(cBarP7 / (cBarP7 + pow25To7));
+  const SL = 1 + (0.015 * (lBarP - 50) ** 2) / Math.sqrt(20 + (lBarP - 50) ** 2);
+  const SC = 1 + 0.045 * cBarP;
+  const SH = 1 + 0.015 * cBarP * T;
+  const RT = -Math.sin(2 * dTheta * deg) * RC;
+  
+  const dL = dLp / SL;
+  const dC = dCp / SC;
+  const dH = dHp / SH;
+  return Math.sqrt(dL * dL + dC * dC + dH * dH + RT * dC * dH);
+}
+
+// ============================================
+// THREAD BRAND MATCHING
+// ============================================
+
+const threadCatalogCache = {};
+const threadRgbCache = {};
+
+// Expand a brand's [number, name, hex] catalog entries into thread objects
+function getThreadCatalog(brand) {
+  if (!THREAD_CATALOGS[brand]) return [];
+  if (!threadCatalogCache[brand]) {
+    threadCatalogCache[brand] = THREAD_CATALOGS[brand].colors.map(([number, name, hex]) => ({
+      brand,
+      number,
+      name,
       hex,
-      count
+      rgb: hexToRgb(hex)
     }));
+  }
+  return threadCatalogCache[brand];
+}
+
+// Find the thread of the given brand closest to an RGB color
+function findNearestThread(r, g, b, brand, colorSpace = 'rgb') {
+  const catalog = getThreadCatalog(brand);
+  if (catalog.length === 0) return null;
+  if (!threadRgbCache[brand]) {
+    threadRgbCache[brand] = catalog.map(thread => thread.rgb);
+  }
+  return catalog[findNearestIndex(r, g, b, threadRgbCache[brand], colorSpace)];
+}
+
+// Look up a thread by its shade number (case-insensitive, e.g. "blanc")
+function findThreadByNumber(brand, number) {
+  const wanted = String(number).trim().toUpperCase();
+  return getThreadCatalog(brand).find(thread => thread.number.toUpperCase() === wanted) || null;
+}
+
+// Short brand + number label for a thread, e.g. "DMC 321"
+function formatThreadNumber(thread) {
+  if (!thread) return '';
+  const catalog = THREAD_CATALOGS[thread.brand];
+  return `${catalog ? catalog.name : thread.brand} ${thread.number}`;
+}
+
+// ============================================
+// LOCKED COLORS
+// ============================================
+
+// How close a pixel must be to a locked color to count as covered by it
+// (RGB distance, or CIEDE2000 in perceptual mode)
+const LOCKED_COLOR_TOLERANCE = { rgb: 24, lab: 6 };
+
+function colorDifference(rgb1, rgb2, colorSpace = 'rgb') {
+  if (colorSpace === 'lab') {
+    return deltaE2000(rgbToLab(...rgb1), rgbToLab(...rgb2));
+  }
+  return Math.sqrt(squaredDistance(rgb1, rgb2));
+}
+
+// Pixels not already covered by a locked color, so the quantizer spends
+// its budget on the rest of the image
+function filterUncoveredPixels(pixels, lockedPalette, colorSpace = 'rgb') {
+  const tolerance = LOCKED_COLOR_TOLERANCE[colorSpace] || LOCKED_COLOR_TOLERANCE.rgb;
+  const covered = new Map();
   
-  // Create color map (hex -> code)
-  const hexToCode = new Map();
-  const codeToHex = {};
-  const codeCounts = {};
+  return filterPixels(pixels, i => {
+    const pixel = pixelAt(pixels, i);
+    const key = (pixel[0] << 16) | (pixel[1] << 8) | pixel[2];
+    let isCovered = covered.get(key);
+    if (isCovered === undefined) {
+      isCovered = lockedPalette.some(locked => colorDifference(pixel, locked, colorSpace) <= tolerance);
+      covered.set(key, isCovered);
+    }
+    return !isCovered;
+  });
+}
+
+// Parse a hex color ("#C72B3B") or thread ("DMC 321", or "321" when a
+// default brand is given) into a locked color entry, or null if unknown
+function parseColorEntry(text, defaultBrand = null) {
+  const value = text.trim();
+  const hexMatch = value.match(/^#?([0-9a-f]{6})$/i);
+  if (hexMatch) {
+    return { hex: '#' + hexMatch[1].toUpperCase(), thread: null };
+  }
   
-  for (const { code, hex, count } of sortedColors) {
-    hexToCode.set(hex, code);
-    codeToHex[code] = hex;
-    codeCounts[code] = count;
+  let brand = defaultBrand;
+  let number = value;
+  const brandMatch = value.match(/^([a-z]+)\s+(\S+)$/i);
+  if (brandMatch) {
+    const brandName = brandMatch[1].toLowerCase();
+    const key = Object.keys(THREAD_CATALOGS).find(k => {
+      return k === brandName || THREAD_CATALOGS[k].name.toLowerCase() === brandName;
+    });
+    if (key) {
+      brand = key;
+      number = brandMatch[2];
+    }
   }
+  if (!brand) return null;
   
-  // Convert grid from hex to codes
-  const codeGrid = gridData.map(row => row.map(hex => hexToCode.get(hex)));
+  const thread = findThreadByNumber(brand, number);
+  if (!thread) return null;
+  return {
+    hex: thread.hex,
+    thread: { brand: thread.brand, number: thread.number, name: thread.name }
+  };
+}
+
+// ============================================
+// YARN STASH
+// ============================================
+
+// Most color bins selectStashColors scores each stash color against before
+// it falls back to coarser bins
+const MAX_STASH_BINS = 4096;
+
+// Pick the subset of stash colors that best reproduces the image. Greedily
+// adds the color that lowers the total pixel error the most, then tries
+// swapping each pick for an unused stash color until nothing improves.
+// `fixed` colors (locked colors) are always present and count toward the
+// error but not toward the budget. Returns indices into `candidates`.
+// onProgress, if given, is called with a rough fraction done.
+function selectStashColors(pixels, candidates, maxColors, colorSpace = 'rgb', fixed = [], onProgress = null) {
+  if (maxColors <= 0 || candidates.length === 0) return [];
+  const report = fraction => {
+    if (onProgress) onProgress(fraction);
+  };
+  
+  const usesLab = colorSpace === 'lab';
+  const toPoint = rgb => (usesLab ? rgbToLab(...rgb) : rgb);
+  const distance = usesLab ? (a, b) => deltaE2000(a, b) ** 2 : squaredDistance;
+  
+  // Group the image colors into bins of 5 bits per channel (4 bits for
+  // noisy images with too many bins), each at the count-weighted mean of
+  // its colors, so the work below grows with the bins rather than with
+  // every distinct color in the image
+  const histogram = buildColorHistogram(pixels);
+  const binColors = bits => {
+    const shift = 8 - bits;
+    const binIndex = new Map();
+    const bins = []; // [rSum, gSum, bSum, count]
+    for (const { rgb: [r, g, b], count } of histogram) {
+      const key = ((r >> shift) << (bits * 2)) | ((g >> shift) << bits) | (b >> shift);
+      let bin = binIndex.get(key);
+      if (bin === undefined) {
+        bin = bins.length;
+        binIndex.set(key, bin);
+        bins.push([0, 0, 0, 0]);
+      }
+      const sums = bins[bin];
+      sums[0] += r * count;
+      sums[1] += g * count;
+      sums[2] += b * count;
+      sums[3] += count;
+    }
+    return bins;
+  };
+  let bins = binColors(5);
+  if (bins.length > MAX_STASH_BINS) bins = binColors(4);
+  const numPoints = bins.length;
+  const points = bins.map(([r, g, b, n]) => toPoint([r / n, g / n, b / n]));
+  const counts = Float64Array.from(bins, sums => sums[3]);
+  
+  // Distance from every bin to every candidate
+  let maxDistance = 0;
+  const distances = candidates.map(candidate => {
+    const point = toPoint(candidate);
+    const row = new Float32Array(numPoints);
+    for (let i = 0; i < numPoints; i++) {
+      row[i] = distance(points[i], point);
+      if (row[i] > maxDistance) maxDistance = row[i];
+    }
+    return row;
+  });
+  
+  // Error of each bin against the fixed colors alone. Without any, it is
+  // capped at the largest distance so the first pick still minimizes error.
+  const fixedPoints = fixed.map(toPoint);
+  const fixedError = new Float64Array(numPoints).fill(maxDistance);
+  for (let i = 0; i < numPoints; i++) {
+    for (const f of fixedPoints) {
+      fixedError[i] = Math.min(fixedError[i], distance(points[i], f));
+    }
+  }
+  
+  // Nearest and second-nearest error of each bin among the fixed and
+  // selected colors, and which selected slot is nearest (-1 for fixed)
+  const selected = [];
+  const isSelected = new Uint8Array(candidates.length);
+  const best = new Float64Array(numPoints);
+  const second = new Float64Array(numPoints);
+  const bestSlot = new Int32Array(numPoints);
+  
+  function addToNearest(slot) {
+    const row = distances[selected[slot]];
+    for (let i = 0; i < numPoints; i++) {
+      if (row[i] < best[i]) {
+        second[i] = best[i];
+        best[i] = row[i];
+        bestSlot[i] = slot;
+      } else if (row[i] < second[i]) {
+        second[i] = row[i];
+      }
+    }
+  }
+  
+  function resetNearest() {
+    best.set(fixedError);
+    second.fill(Infinity);
+    bestSlot.fill(-1);
+    selected.forEach((_, slot) => addToNearest(slot));
+  }
+  
+  function totalCost() {
+    let cost = 0;
+    for (let i = 0; i < numPoints; i++) cost += counts[i] * best[i];
+    return cost;
+  }
+  
+  // How much adding candidate c would lower the error
+  function gainOf(c) {
+    const row = distances[c];
+    let gain = 0;
+    for (let i = 0; i < numPoints; i++) {
+      if (row[i] < best[i]) gain += counts[i] * (best[i] - row[i]);
+    }
+    return gain;
+  }
+  
+  // Greedy forward selection. A candidate's gain can only shrink as colors
+  // are added, so stale gains are upper bounds: only the top candidate is
+  // rescored each time, until one stays on top with a fresh score.
+  resetNearest();
+  const gains = Float64Array.from(candidates, (_, c) => gainOf(c));
+  const scoredAt = new Int32Array(candidates.length);
+  while (selected.length < maxColors) {
+    let pick = -1;
+    for (;;) {
+      let top = -1;
+      for (let c = 0; c < candidates.length; c++) {
+        if (!isSelected[c] && (top === -1 || gains[c] > gains[top])) top = c;
+      }
+      if (top === -1 || gains[top] <= 0) break; // no remaining color would be used
+      if (scoredAt[top] === selected.length) {
+        pick = top;
+        break;
+      }
+      gains[top] = gainOf(top);
+      scoredAt[top] = selected.length;
+    }
+    if (pick === -1) break;
+    selected.push(pick);
+    isSelected[pick] = 1;
+    addToNearest(selected.length - 1);
+    report(0.5 * selected.length / maxColors);
+  }
+  let currentCost = totalCost();
+  
+  // Swap refinement: without a slot, each bin falls back to its
+  // second-nearest color if that slot was its nearest
+  const withoutSlot = new Float64Array(numPoints);
+  for (let pass = 0; pass < 3; pass++) {
+    let improved = false;
+    for (let slot = 0; slot < selected.length; slot++) {
+      for (let i = 0; i < numPoints; i++) {
+        withoutSlot[i] = bestSlot[i] === slot ? second[i] : best[i];
+      }
+      let swap = -1;
+      let swapCost = currentCost - 1e-9;
+      for (let c = 0; c < candidates.length; c++) {
+        if (isSelected[c]) continue;
+        const row = distances[c];
+        let cost = 0;
+        for (let i = 0; i < numPoints && cost < swapCost; i++) {
+          cost += counts[i] * (row[i] < withoutSlot[i] ? row[i] : withoutSlot[i]);
+        }
+        if (cost < swapCost) {
+          swap = c;
+          swapCost = cost;
+        }
+      }
+      if (swap !== -1) {
+        isSelected[selected[slot]] = 0;
+        isSelected[swap] = 1;
+        selected[slot] = swap;
+        resetNearest();
+        currentCost = totalCost();
+        improved = true;
+      }
+    }
+    report(0.5 + (pass + 1) / 6);
+    if (!improved) break;
+  }
+  
+  report(1);
+  return selected;
+}
+
+// ============================================
+// CONFETTI CLEANUP
+// ============================================
+
+// Reassign isolated stitches ("confetti") and clusters of up to
+// `maxClusterSize` stitches to the color they touch most. Clusters are
+// 8-connected so single-stitch diagonal lines survive. Background cells
+// (null) are left alone and never vote, so the separated background keeps
+// its shape. Works on any grid of comparable cell values and returns
+// { grid, changed }.
+function removeConfetti(grid, maxClusterSize, maxPasses = 3) {
+  const rows = grid.length;
+  const cols = rows > 0 ? grid[0].length : 0;
+  let cells = grid.map(row => [...row]);
+  let changed = 0;
+  
+  const neighborsOf = (row, col) => {
+    const result = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const r = row + dy;
+        const c = col + dx;
+        if ((dy || dx) && r >= 0 && r < rows && c >= 0 && c < cols) result.push([r, c]);
+      }
+    }
+    return result;
+  };
+  
+  for (let pass = 0; pass < maxPasses; pass++) {
+    const seen = new Uint8Array(rows * cols);
+    const small = [];
+    
+    // Find clusters no bigger than the threshold
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (seen[row * cols + col]) continue;
+        const value = cells[row][col];
+        const cluster = [[row, col]];
+        seen[row * cols + col] = 1;
+        for (let i = 0; i < cluster.length; i++) {
+          for (const [r, c] of neighborsOf(...cluster[i])) {
+            if (!seen[r * cols + c] && cells[r][c] === value) {
+              seen[r * cols + c] = 1;
+              cluster.push([r, c]);
+            }
+          }
+        }
+        if (value !== null && cluster.length <= maxClusterSize) small.push(cluster);
+      }
+    }
+    
+    // Smallest clusters first, each taking its most common neighbor color
+    small.sort((a, b) => a.length - b.length);
+    let passChanged = 0;
+    for (const cluster of small) {
+      const value = cells[cluster[0][0]][cluster[0][1]];
+      const votes = new Map();
+      for (const [row, col] of cluster) {
+        for (const [r, c] of neighborsOf(row, col)) {
+          const neighbor = cells[r][c];
+          if (neighbor !== value && neighbor !== null) votes.set(neighbor, (votes.get(neighbor) || 0) + 1);
+        }
+      }
+      if (votes.size === 0) continue;
+      const majority = [...votes.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+      for (const [row, col] of cluster) {
+        cells[row][col] = majority;
+      }
+      passChanged += cluster.length;
+    }
+    
+    changed += passChanged;
+    if (passChanged === 0) break;
+  }
+  
+  return { grid: cells, changed };
+}
+
+// ============================================
+// BACKGROUND
+// ============================================
+
+// Grid code for stitches that belong to the background rather than the
+// design. It is never counted against the color budget.
+const BACKGROUND_CODE = 'BG';
+
+// Mark background pixels: anything mostly transparent, plus pixels close to
+// the background color that are connected to the image edge (so the same
+// color inside the design is kept)
+function findBackgroundMask(pixels, alphas, width, height, backgroundRgb, colorSpace = 'rgb') {
+  const count = width * height;
+  const mask = new Uint8Array(count);
+  const tolerance = LOCKED_COLOR_TOLERANCE[colorSpace] || LOCKED_COLOR_TOLERANCE.rgb;
+  const isTransparent = i => alphas[i] < 128;
+  const matches = i => isTransparent(i) || colorDifference(pixelAt(pixels, i), backgroundRgb, colorSpace) <= tolerance;
+  
+  const stack = [];
+  const visit = i => {
+    if (!mask[i] && matches(i)) {
+      mask[i] = 1;
+      stack.push(i);
+    }
+  };
+  
+  // Flood fill from transparent areas and the image edge
+  for (let i = 0; i < count; i++) {
+    if (isTransparent(i)) visit(i);
+  }
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i + width < count) visit(i + width);
+  }
+  
+  return mask;
+}
+
+// ============================================
+// IMAGE PREP (CROP, ROTATE, FLIP)
+// ============================================
+
+// Rotation (clockwise degrees) and flips are applied first; the crop is a
+// rectangle in fractions of the oriented image, so it still fits after the
+// original is saved at a smaller size.
+function defaultImagePrep() {
+  return {
+    rotation: 0,
+    flipH: false,
+    flipV: false,
+    crop: { x: 0, y: 0, width: 1, height: 1 },
+    cropAspect: null // SIZE_PRESETS name the crop is held to, or null for free
+  };
+}
+
+// Size of the image after rotation, before cropping
+function getOrientedSize(img, prep) {
+  const quarterTurn = prep.rotation % 180 !== 0;
+  return {
+    width: quarterTurn ? img.height : img.width,
+    height: quarterTurn ? img.width : img.height
+  };
+}
+
+// Draw the image rotated and flipped, then cut out the crop. `scale`
+// shrinks the result for previews. The crop is snapped to whole source
+// pixels so nothing is resampled at full size (pixel art keeps its edges).
+function prepareSourceImage(img, prep, scale = 1) {
+  const { width, height } = getOrientedSize(img, prep);
+  const { crop } = prep;
+  const cropX = Math.round(crop.x * width);
+  const cropY = Math.round(crop.y * height);
+  const cropWidth = Math.max(1, Math.min(width - cropX, Math.round(crop.width * width)));
+  const cropHeight = Math.max(1, Math.min(height - cropY, Math.round(crop.height * height)));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(cropWidth * scale));
+  canvas.height = Math.max(1, Math.round(cropHeight * scale));
+  
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.translate(-cropX, -cropY);
+  ctx.translate(width / 2, height / 2);
+  ctx.scale(prep.flipH ? -1 : 1, prep.flipV ? -1 : 1);
+  ctx.rotate((prep.rotation * Math.PI) / 180);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
+  return canvas;
+}
+
+// The same crop after turning the image a quarter turn
+function rotateCrop(crop, clockwise) {
+  return clockwise
+    ? { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+    : { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width };
+}
+
+function flipCrop(crop, horizontal) {
+  return horizontal
+    ? { ...crop, x: 1 - crop.x - crop.width }
+    : { ...crop, y: 1 - crop.y - crop.height };
+}
+
+// Smallest crop side, as a fraction of the image
+const MIN_CROP_SIZE = 0.05;
+
+// Move the crop by (dx, dy), keeping it inside the image
+function moveCrop(crop, dx, dy) {
+  return {
+    ...crop,
+    x: Math.max(0, Math.min(1 - crop.width, crop.x + dx)),
+    y: Math.max(0, Math.min(1 - crop.height, crop.y + dy))
+  };
+}
+
+// Drag one corner ('nw', 'ne', 'sw' or 'se') of the crop by (dx, dy). The
+// opposite corner stays put; with a ratio the crop keeps that shape.
+function resizeCrop(crop, corner, dx, dy, ratio = null) {
+  const west = corner.includes('w');
+  const north = corner.includes('n');
+  const anchorX = west ? crop.x + crop.width : crop.x;
+  const anchorY = north ? crop.y + crop.height : crop.y;
+  const maxWidth = west ? anchorX : 1 - anchorX;
+  const maxHeight = north ? anchorY : 1 - anchorY;
+  
+  let width = Math.max(MIN_CROP_SIZE, Math.min(maxWidth, crop.width + (west ? -dx : dx)));
+  let height = Math.max(MIN_CROP_SIZE, Math.min(maxHeight, crop.height + (north ? -dy : dy)));
+  if (ratio) {
+    // Follow whichever side was dragged further, then pull back inside
+    if (width / height > ratio) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+    if (width > maxWidth) {
+      width = maxWidth;
+      height = width / ratio;
+    }
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * ratio;
+    }
+  }
+  
+  return {
+    x: west ? anchorX - width : anchorX,
+    y: north ? anchorY - height : anchorY,
+    width,
+    height
+  };
+}
+
+// Largest crop of the given width/height fraction ratio that fits inside
+// `crop`, centered on it
+function constrainCrop(crop, ratio) {
+  if (crop.width / crop.height > ratio) {
+    const width = crop.height * ratio;
+    return { ...crop, x: crop.x + (crop.width - width) / 2, width };
+  }
+  const height = crop.width / ratio;
+  return { ...crop, y: crop.y + (crop.height - height) / 2, height };
+}
+
+// ============================================
+// RESAMPLING
+// ============================================
+
+// Modes other than 'smooth' (the browser's own resize) work from a source
+// at most this many times the pattern size, to bound memory on big photos
+const MAX_RESAMPLE_FACTOR = 8;
+
+// Luminance spread above which an edge-aware cell is treated as an edge
+const EDGE_LUMINANCE_SPREAD = 48;
+
+// Shrink RGBA `source` ({data, width, height}) to the pattern size, one
+// cell of source pixels per stitch:
+// - 'average': plain average of the cell
+// - 'majority': average of the most common color (in coarse bins)
+// - 'edge': plain average, except across an edge, where only the dark or
+//   the light side is averaged (whichever stands out more from the cells
+//   around it), so thin lines survive and no in-between color appears
+// - 'nearest' and 'pixel-art': the pixel at the cell center, for pixel art
+// Mostly transparent pixels only count if the whole cell is transparent.
+// onProgress, if given, is called with the fraction of rows done.
+function resamplePixels(source, targetWidth, targetHeight, mode, onProgress = null) {
+  const { data, width, height } = source;
+  const result = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  const cell = [];
+  
+  const average = indices => {
+    const sums = [0, 0, 0, 0];
+    for (const i of indices) {
+      for (let c = 0; c < 4; c++) sums[c] += data[i + c];
+    }
+    return sums.map(sum => sum / indices.length);
+  };
+  const luminance = (pixels, i) => 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+  const averageLuminance = indices => indices.reduce((sum, i) => sum + luminance(data, i), 0) / indices.length;
+  
+  // Edge-aware cells are compared with the plain averages of their neighbors
+  const plain = mode === 'edge' ? resamplePixels(source, targetWidth, targetHeight, 'average') : null;
+  const neighborLuminance = (tx, ty) => {
+    let sum = 0;
+    let n = 0;
+    for (let ny = Math.max(0, ty - 1); ny <= Math.min(targetHeight - 1, ty + 1); ny++) {
+      for (let nx = Math.max(0, tx - 1); nx <= Math.min(targetWidth - 1, tx + 1); nx++) {
+        if (nx === tx && ny === ty) continue;
+        sum += luminance(plain, (ny * targetWidth + nx) * 4);
+        n++;
+      }
+    }
+    return n > 0 ? sum / n : luminance(plain, (ty * targetWidth + tx) * 4);
+  };
+  
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor((ty * height) / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const out = (ty * targetWidth + tx) * 4;
+      
+      if (mode === 'nearest' || mode === 'pixel-art') {
+        const sx = Math.floor(((tx + 0.5) * width) / targetWidth);
+        const sy = Math.floor(((ty + 0.5) * height) / targetHeight);
+        result.set(data.subarray((sy * width + sx) * 4, (sy * width + sx) * 4 + 4), out);
+        continue;
+      }
+      
+      const x0 = Math.floor((tx * width) / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+      cell.length = 0;
+      let alphaSum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          alphaSum += data[i + 3];
+          if (data[i + 3] >= 128) cell.push(i);
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      if (cell.length === 0) {
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) cell.push((y * width + x) * 4);
+        }
+      }
+      
+      let color;
+      if (mode === 'majority') {
+        const bins = new Map();
+        for (const i of cell) {
+          const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+          if (!bins.has(key)) bins.set(key, []);
+          bins.get(key).push(i);
+        }
+        let best = null;
+        for (const members of bins.values()) {
+          if (!best || members.length > best.length) best = members;
+        }
+        color = average(best);
+      } else if (mode === 'edge') {
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        for (const i of cell) {
+          const l = luminance(data, i);
+          if (l < min) min = l;
+          if (l > max) max = l;
+          sum += l;
+        }
+        if (max - min < EDGE_LUMINANCE_SPREAD) {
+          color = average(cell);
+        } else {
+          const mean = sum / cell.length;
+          const dark = cell.filter(i => luminance(data, i) < mean);
+          const light = cell.filter(i => luminance(data, i) >= mean);
+          const around = neighborLuminance(tx, ty);
+          const darkStandsOut = Math.abs(averageLuminance(dark) - around) > Math.abs(averageLuminance(light) - around);
+          color = average(darkStandsOut ? dark : light);
+        }
+      } else {
+        color = average(cell);
+      }
+      
+      result[out] = color[0];
+      result[out + 1] = color[1];
+      result[out + 2] = color[2];
+      result[out + 3] = alphaSum / count;
+    }
+    if (onProgress) onProgress((ty + 1) / targetHeight);
+  }
+  
+  return result;
+}
+
+// Find the native pixel grid of pixel art, which may have been upscaled
+// into blocks. Every run of identical pixels along a row is a whole number
+// of blocks, so the block width is the GCD of the run lengths (likewise
+// down the columns). Returns {blockWidth, blockHeight, columns, rows,
+// colorCount}; a photo comes back as 1px blocks with many colors.
+function detectPixelGrid(data, width, height) {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  // Fully transparent pixels match whatever RGB they carry
+  const same = (a, b) => (data[a + 3] === 0 && data[b + 3] === 0) ||
+    (data[a] === data[b] && data[a + 1] === data[b + 1] && data[a + 2] === data[b + 2] && data[a + 3] === data[b + 3]);
+  
+  const blockSize = (lines, length, indexAt) => {
+    let size = 0;
+    for (let line = 0; line < lines && size !== 1; line++) {
+      let run = 1;
+      for (let pos = 1; pos <= length; pos++) {
+        if (pos < length && same(indexAt(line, pos - 1), indexAt(line, pos))) {
+          run++;
+        } else {
+          size = gcd(size, run);
+          run = 1;
+        }
+      }
+    }
+    return size;
+  };
+  const blockWidth = blockSize(height, width, (y, x) => (y * width + x) * 4);
+  const blockHeight = blockSize(width, height, (x, y) => (y * width + x) * 4);
+  const columns = width / blockWidth;
+  const rows = height / blockHeight;
+  
+  const colors = new Set();
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const i = (row * blockHeight * width + col * blockWidth) * 4;
+      if (data[i + 3] >= 128) colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    }
+  }
+  
+  return { blockWidth, blockHeight, columns, rows, colorCount: colors.size };
+}
+
+// ============================================
+// IMAGE ADJUSTMENTS
+// ============================================
+
+// Brightness, contrast and saturation run from -100 to 100; sharpen from
+// 0 (off) to 100
+const DEFAULT_ADJUSTMENTS = { brightness: 0, contrast: 0, saturation: 0, sharpen: 0 };
+
+function hasAdjustments(adjustments) {
+  return Boolean(adjustments) && Object.keys(DEFAULT_ADJUSTMENTS).some(key => adjustments[key]);
+}
+
+// Adjusted copy of RGBA data (as from getImageData). Alpha is unchanged.
+function adjustImagePixels(data, width, height, adjustments) {
+  const { brightness = 0, contrast = 0, saturation = 0, sharpen = 0 } = adjustments;
+  const result = new Uint8ClampedArray(data);
+  
+  const offset = brightness * 1.28;
+  // Up to 3x contrast, or down to flat gray
+  const contrastFactor = contrast >= 0 ? 1 + contrast / 50 : 1 + contrast / 100;
+  const saturationFactor = 1 + saturation / 100;
+  
+  for (let i = 0; i < result.length; i += 4) {
+    let r = (result[i] + offset - 128) * contrastFactor + 128;
+    let g = (result[i + 1] + offset - 128) * contrastFactor + 128;
+    let b = (result[i + 2] + offset - 128) * contrastFactor + 128;
+    const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+    result[i] = gray + (r - gray) * saturationFactor;
+    result[i + 1] = gray + (g - gray) * saturationFactor;
+    result[i + 2] = gray + (b - gray) * saturationFactor;
+  }
+  
+  if (sharpen > 0) {
+    // Unsharp mask: push each pixel away from the 3x3 average around it
+    const amount = sharpen / 50;
+    const toned = new Uint8ClampedArray(result);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          let sum = 0;
+          let n = 0;
+          for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+              sum += toned[(ny * width + nx) * 4 + c];
+              n++;
+            }
+          }
+          result[i + c] = toned[i + c] + (toned[i + c] - sum / n) * amount;
+        }
+      }
+    }
+  }
+  
+  return result;
+}
+
+// ============================================
+// IMAGE PROCESSING
+// ============================================
+
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0').toUpperCase()).join('');
+}
+
+function hexToRgb(hex) {
+  return [
+    parseInt(hex.slice(1, 3), 16),
+    parseInt(hex.slice(3, 5), 16),
+    parseInt(hex.slice(5, 7), 16)
+  ];
+}
+
+// Draw the image onto the processing canvas and return its RGBA data as
+// {data, width, height}. 'smooth' resizes straight to the pattern size;
+// other resample modes get a larger source for resamplePixels to shrink.
+function readImagePixels(img, targetWidth, targetHeight, resample = 'smooth') {
+  const canvas = document.getElementById('processingCanvas');
+  const ctx = canvas.getContext('2d');
+  
+  let width = targetWidth;
+  let height = targetHeight;
+  if (resample !== 'smooth') {
+    width = Math.max(targetWidth, Math.min(img.width, targetWidth * MAX_RESAMPLE_FACTOR));
+    height = Math.max(targetHeight, Math.min(img.height, targetHeight * MAX_RESAMPLE_FACTOR));
+  }
+  
+  // Set canvas size (resizing the canvas clears it, so transparent areas
+  // keep their alpha)
+  canvas.width = width;
+  canvas.height = height;
+  
+  // Draw image resized with high quality, except for nearest neighbor,
+  // where blending would invent colors the pixel art doesn't have
+  ctx.imageSmoothingEnabled = resample !== 'nearest' && resample !== 'pixel-art';
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, width, height);
+  
+  return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+// The conversion pipeline on raw RGBA data ({data, width, height}, from
+// readImagePixels). It doesn't touch the DOM, so it runs unchanged inside
+// the conversion worker. options.onProgress, if given, is called with
+// (fraction, stage label) as the stages advance.
+function convertPixels(source, targetWidth, targetHeight, maxColors, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const stage = (label, from, to) => fraction => onProgress(from + (to - from) * fraction, label);
+  
+  let data = source.data;
+  if (source.width !== targetWidth || source.height !== targetHeight) {
+    data = resamplePixels(source, targetWidth, targetHeight, options.resample, stage('Resampling...', 0, 0.05));
+  }
+  
+  // Brightness, contrast, saturation and sharpening go before quantizing
+  if (hasAdjustments(options.adjustments)) {
+    data = adjustImagePixels(data, targetWidth, targetHeight, options.adjustments);
+  }
+  
+  // Collect all pixels, blended over the background color
+  const backgroundHex = options.backgroundColor || '#FFFFFF';
+  const backgroundRgb = hexToRgb(backgroundHex);
+  const pixels = new Uint8Array((data.length / 4) * 3);
+  const alphas = new Uint8Array(data.length / 4);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    const p = (i / 4) * 3;
+    for (let c = 0; c < 3; c++) {
+      pixels[p + c] = Math.round(data[i + c] * alpha + backgroundRgb[c] * (1 - alpha));
+    }
+    alphas[i / 4] = data[i + 3];
+  }
+  
+  const colorSpace = options.colorSpace || 'rgb';
+  const paletteProgress = stage('Building palette...', 0.05, 0.45);
+  paletteProgress(0);
+  
+  // Optionally split off the background so it gets its own code and
+  // doesn't use up the color budget
+  const backgroundMask = options.background === 'exclude'
+    ? findBackgroundMask(pixels, alphas, targetWidth, targetHeight, backgroundRgb, colorSpace)
+    : null;
+  const designPixels = backgroundMask ? filterPixels(pixels, i => !backgroundMask[i]) : pixels;
+  const lockedColors = options.lockedColors || [];
+  
+  // Locked colors are always kept, so the quantizer only gets the remaining
+  // budget and the pixels the locked colors don't already cover
+  const lockedRgb = lockedColors.map(locked => hexToRgb(locked.hex));
+  const freePixels = lockedRgb.length > 0 ? filterUncoveredPixels(designPixels, lockedRgb, colorSpace) : designPixels;
+  const budget = Math.max(0, maxColors - lockedRgb.length);
+  
+  const threadsByHex = new Map();
+  const usesStash = Boolean(options.stash && options.stash.length > 0);
+  let palette;
+  
+  if (usesStash) {
+    // Restrict the palette to the best subset of the yarn stash
+    const stashRgb = options.stash.map(entry => hexToRgb(entry.hex));
+    const picks = selectStashColors(designPixels, stashRgb, budget, colorSpace, lockedRgb, paletteProgress);
+    palette = picks.map(idx => {
+      const entry = options.stash[idx];
+      if (entry.thread) threadsByHex.set(entry.hex, { ...entry.thread, hex: entry.hex });
+      return stashRgb[idx];
+    });
+  } else {
+    // Pixel art that already fits the budget keeps its exact colors;
+    // otherwise quantize with the selected algorithm (median cut by default)
+    const exactColors = options.resample === 'pixel-art' ? buildColorHistogram(freePixels) : null;
+    if (exactColors && exactColors.length <= budget) {
+      palette = exactColors.map(({ rgb }) => rgb);
+    } else {
+      palette = budget > 0 && freePixels.length > 0
+        ? quantize(freePixels, budget, { algorithm: options.quantizer, colorSpace })
+        : [];
+    }
+  }
+  
+  // Snap each palette entry to the nearest real thread of the chosen brand.
+  // Entries that land on the same thread collapse into one color below.
+  if (options.brand && !usesStash) {
+    palette = palette.map(([r, g, b]) => {
+      const thread = findNearestThread(r, g, b, options.brand, colorSpace);
+      threadsByHex.set(thread.hex, thread);
+      return thread.rgb;
+    });
+  }
+  
+  // Locked threads keep their own brand, and plain hex values stay exactly
+  // as entered (with no thread) even when a brand is chosen. Locked colors
+  // go first so they win ties when pixels are mapped.
+  const lockedHexes = lockedColors.map(locked => {
+    if (locked.thread) threadsByHex.set(locked.hex, { ...locked.thread, hex: locked.hex });
+    return locked.hex;
+  });
+  palette = [...lockedHexes.map(hexToRgb), ...palette];
+  
+  // Map each pixel to nearest palette color (dithering if requested)
+  const paletteIndices = mapPixelsToPalette(pixels, targetWidth, targetHeight, palette, {
+    colorSpace,
+    dither: options.dither,
+    ditherStrength: options.ditherStrength,
+    mask: backgroundMask,
+    onProgress: stage('Mapping stitches...', 0.45, 0.9)
+  });
+  
+  // Build grid of palette colors (null for background stitches)
+  let gridData = [];
+  let pixelIdx = 0;
+  
+  for (let row = 0; row < targetHeight; row++) {
+    const rowData = [];
+    for (let col = 0; col < targetWidth; col++) {
+      const isBackground = backgroundMask && backgroundMask[pixelIdx];
+      rowData.push(isBackground ? null : rgbToHex(...palette[paletteIndices[pixelIdx]]));
+      pixelIdx++;
+    }
+    gridData.push(rowData);
+  }
+  
+  // Optionally fold confetti stitches into their surroundings
+  let cleanup = null;
+  if (options.confettiThreshold > 0) {
+    onProgress(0.9, 'Cleaning up confetti...');
+    const colorChangesBefore = countColorChanges(gridData);
+    const { grid: cleaned, changed } = removeConfetti(gridData, options.confettiThreshold);
+    gridData = cleaned;
+    cleanup = {
+      threshold: options.confettiThreshold,
+      stitchesChanged: changed,
+      colorChangesBefore,
+      colorChangesAfter: countColorChanges(cleaned)
+    };
+  }
+  
+  // Count stitches per color
+  const colorCounts = new Map();
+  let backgroundCount = 0;
+  for (const rowData of gridData) {
+    for (const hex of rowData) {
+      if (hex === null) {
+        backgroundCount++;
+      } else {
+        colorCounts.set(hex, (colorCounts.get(hex) || 0) + 1);
+      }
+    }
+  }
+  
+  // Locked colors stay in the palette even if no pixel ended up using them
+  for (const hex of lockedHexes) {
+    if (!colorCounts.has(hex)) colorCounts.set(hex, 0);
+  }
+  
+  // Sort colors by frequency and assign codes
+  const sortedColors = [...colorCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([hex, count], idx) => ({
+      code: String(idx + 1),
+      hex,
+      count
+    }));
+  
+  // Create color map (hex -> code)
+  const hexToCode = new Map();
+  const codeToHex = {};
+  const codeCounts = {};
+  const codeThreads = {};
+  
+  for (const { code, hex, count } of sortedColors) {
+    hexToCode.set(hex, code);
+    codeToHex[code] = hex;
+    codeCounts[code] = count;
+    
+    const thread = threadsByHex.get(hex);
+    if (thread) {
+      codeThreads[code] = { brand: thread.brand, number: thread.number, name: thread.name };
+    }
+  }
+  
+  if (backgroundCount > 0) {
+    codeToHex[BACKGROUND_CODE] = backgroundHex.toUpperCase();
+    codeCounts[BACKGROUND_CODE] = backgroundCount;
+  }
+  
+  // Convert grid from hex to codes
+  const codeGrid = gridData.map(row => row.map(hex => (hex === null ? BACKGROUND_CODE : hexToCode.get(hex))));
+  
+  onProgress(1, 'Done');
+  return {
+    grid: codeGrid,
+    colorMap: codeToHex,
+    colorCounts: codeCounts,
+    threadMap: codeThreads,
+    numColors: sortedColors.length,
+    stash: usesStash ? options.stash : null,
+    cleanup
+  };
+}
+
+// Palette codes in display order: numbered colors, then the background
+function sortCodes(codes) {
+  const order = code => (code === BACKGROUND_CODE ? Infinity : parseInt(code));
+  return [...codes].sort((a, b) => order(a) - order(b));
+}
+
+// Number of thread changes when stitching each row left to right
+function countColorChanges(grid) {
+  let changes = 0;
+  for (const row of grid) {
+    for (let col = 1; col < row.length; col++) {
+      if (row[col] !== row[col - 1]) changes++;
+    }
+  }
+  return changes;
+}
+
+// ============================================
+// CONVERSION WORKER
+// ============================================
+
+// convertPixels runs in a worker so large patterns don't freeze the page.
+// The worker is built from this script's own function sources (rather than
+// a separate file) so it also works when the app is opened from file://.
+const CONVERSION_WORKER_FUNCTIONS = [
+  pixelCount, pixelAt, filterPixels, ColorBox, medianCut, findNearestIndex,
+  quantize, buildColorHistogram, squaredDistance, kMeansRefine, octreeQuantize, wuQuantize,
+  mapPixelsToPalette, getPaletteLab, srgbToLinear, linearToSrgb, rgbToLab, labToRgb, deltaE2000,
+  getThreadCatalog, findNearestThread, colorDifference, filterUncoveredPixels, selectStashColors,
+  removeConfetti, findBackgroundMask, resamplePixels, hasAdjustments, adjustImagePixels, rgbToHex, hexToRgb,
+  countColorChanges, convertPixels
+];
+
+// Entry point inside the worker: convert one image per message, posting
+// progress (at most once per percent) and then the result or an error
+function conversionWorkerMain() {
+  self.onmessage = event => {
+    const { source, width, height, maxColors, options } = event.data;
+    let lastPercent = -1;
+    let lastStage = null;
+    const onProgress = (fraction, stage) => {
+      const percent = Math.floor(fraction * 100);
+      if (percent === lastPercent && stage === lastStage) return;
+      lastPercent = percent;
+      lastStage = stage;
+      self.postMessage({ type: 'progress', fraction, stage });
+    };
+    
+    try {
+      const result = convertPixels(source, width, height, maxColors, { ...options, onProgress });
+      self.postMessage({ type: 'done', result });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  };
+}
+
+function buildConversionWorkerSource() {
+  const constants = {
+    THREAD_CATALOGS,
+    DITHER_KERNELS,
+    BAYER_8X8,
+    LAB_WHITE,
+    LOCKED_COLOR_TOLERANCE,
+    MAX_STASH_BINS,
+    BACKGROUND_CODE,
+    EDGE_LUMINANCE_SPREAD,
+    DEFAULT_ADJUSTMENTS
+  };
+  return [
+    ...Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`),
+    'const paletteLabCache = new WeakMap();',
+    'const threadCatalogCache = {};',
+    'const threadRgbCache = {};',
+    ...CONVERSION_WORKER_FUNCTIONS.map(fn => fn.toString()),
+    `(${conversionWorkerMain.toString()})();`
+  ].join('\n\n');
+}
+
+let conversionWorkerUrl = null;
+let conversionWorker = null;
+let conversionWorkerFailed = false; // fall back to the main thread for good
+let activeConversion = null; // { cancel } for the job in progress
+
+function getConversionWorker() {
+  if (conversionWorkerFailed) return null;
+  if (!conversionWorker) {
+    try {
+      if (!conversionWorkerUrl) {
+        const blob = new Blob([buildConversionWorkerSource()], { type: 'text/javascript' });
+        conversionWorkerUrl = URL.createObjectURL(blob);
+      }
+      conversionWorker = new Worker(conversionWorkerUrl);
+    } catch (err) {
+      console.warn('Conversion worker unavailable, converting on the main thread', err);
+      conversionWorkerFailed = true;
+      return null;
+    }
+  }
+  return conversionWorker;
+}
+
+// Convert an image in the worker (or on the main thread if workers aren't
+// available). Callbacks: onProgress(fraction, stage), onDone(result),
+// onError(err) and onCancel(). Starting a job cancels the one in progress.
+function runConversion(img, width, height, maxColors, options, callbacks) {
+  const { onProgress = () => {}, onDone, onError, onCancel = () => {} } = callbacks;
+  cancelConversion();
+  
+  const source = readImagePixels(img, width, height, options.resample);
+  const job = {};
+  activeConversion = job;
+  const finish = () => {
+    if (activeConversion === job) activeConversion = null;
+  };
+  
+  const runOnMainThread = pixelSource => {
+    // Give the page a moment to paint the progress bar first
+    const timer = setTimeout(() => {
+      finish();
+      try {
+        onDone(convertPixels(pixelSource, width, height, maxColors, options));
+      } catch (err) {
+        onError(err);
+      }
+    }, 50);
+    job.cancel = () => {
+      clearTimeout(timer);
+      onCancel();
+    };
+  };
+  
+  const worker = getConversionWorker();
+  if (!worker) {
+    runOnMainThread(source);
+    return;
+  }
+  
+  worker.onmessage = event => {
+    const message = event.data;
+    if (message.type === 'progress') {
+      onProgress(message.fraction, message.stage);
+      return;
+    }
+    finish();
+    if (message.type === 'done') {
+      onDone(message.result);
+    } else {
+      onError(new Error(message.message));
+    }
+  };
+  // The worker script itself failed (e.g. blocked by the page's security
+  // policy), so stop using workers and retry here. The pixel buffer was
+  // transferred to the worker, so read the image again.
+  worker.onerror = event => {
+    event.preventDefault();
+    console.warn('Conversion worker failed, converting on the main thread', event.message);
+    worker.terminate();
+    conversionWorker = null;
+    conversionWorkerFailed = true;
+    if (activeConversion === job) runOnMainThread(readImagePixels(img, width, height, options.resample));
+  };
+  job.cancel = () => {
+    // Terminating is the only way to stop a running conversion; a fresh
+    // worker is created for the next job
+    worker.terminate();
+    conversionWorker = null;
+    onCancel();
+  };
+  
+  worker.postMessage({ source, width, height, maxColors, options }, [source.data.buffer]);
+}
+
+function cancelConversion() {
+  if (!activeConversion) return;
+  const job = activeConversion;
+  activeConversion = null;
+  job.cancel();
+}
+
+// ============================================
+// PALETTE EDITING
+// ============================================
+
+// Stitch-count weighted average of palette colors (plain average if
+// none of them has any stitches)
+function averageColors(hexes, weights) {
+  const rgbs = hexes.map(hexToRgb);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const average = [0, 1, 2].map(c => (total > 0
+    ? rgbs.reduce((sum, rgb, i) => sum + rgb[c] * weights[i], 0) / total
+    : rgbs.reduce((sum, rgb) => sum + rgb[c], 0) / rgbs.length));
+  return rgbToHex(...average.map(Math.round));
+}
+
+// Renumber color codes 1..n in their current order, closing gaps left by
+// removed colors (the background keeps its code). Mutates the result and
+// returns the old -> new code mapping.
+function renumberCodes(result) {
+  const mapping = {};
+  sortCodes(Object.keys(result.colorMap)).forEach((code, idx) => {
+    mapping[code] = code === BACKGROUND_CODE ? code : String(idx + 1);
+  });
+  
+  const colorMap = {};
+  const colorCounts = {};
+  const threadMap = {};
+  for (const [oldCode, newCode] of Object.entries(mapping)) {
+    colorMap[newCode] = result.colorMap[oldCode];
+    colorCounts[newCode] = result.colorCounts[oldCode] || 0;
+    if (result.threadMap && result.threadMap[oldCode]) {
+      threadMap[newCode] = result.threadMap[oldCode];
+    }
+  }
+  
+  result.grid = result.grid.map(row => row.map(code => mapping[code]));
+  result.colorMap = colorMap;
+  result.colorCounts = colorCounts;
+  result.threadMap = threadMap;
+  result.numColors = Object.keys(colorMap).filter(code => code !== BACKGROUND_CODE).length;
+  return mapping;
+}
+
+// Add a color to the palette under the next free code, or return the
+// existing code if the palette already has that color
+function addPaletteColor(result, hex, thread = null) {
+  const existing = Object.keys(result.colorMap).find(code => {
+    return code !== BACKGROUND_CODE && result.colorMap[code] === hex;
+  });
+  if (existing) return existing;
+  
+  const numbers = Object.keys(result.colorMap).filter(code => code !== BACKGROUND_CODE).map(Number);
+  const code = String(numbers.length > 0 ? Math.max(...numbers) + 1 : 1);
+  result.colorMap[code] = hex;
+  result.colorCounts[code] = 0;
+  if (!result.threadMap) result.threadMap = {};
+  if (thread) result.threadMap[code] = thread;
+  result.numColors = numbers.length + 1;
+  return code;
+}
+
+// Merge several codes into the lowest of them, which takes `hex` and
+// `thread` (or no thread), then renumber. Returns the old -> new mapping.
+function mergePaletteCodes(result, codes, hex, thread = null) {
+  const [target, ...merged] = sortCodes(codes);
+  const mergedSet = new Set(merged);
+  
+  result.grid = result.grid.map(row => row.map(code => (mergedSet.has(code) ? target : code)));
+  result.colorCounts[target] = codes.reduce((sum, code) => sum + (result.colorCounts[code] || 0), 0);
+  result.colorMap[target] = hex;
+  if (!result.threadMap) result.threadMap = {};
+  if (thread) {
+    result.threadMap[target] = thread;
+  } else {
+    delete result.threadMap[target];
+  }
+  for (const code of merged) {
+    delete result.colorMap[code];
+    delete result.colorCounts[code];
+    delete result.threadMap[code];
+  }
+  
+  const mapping = renumberCodes(result);
+  for (const code of merged) mapping[code] = mapping[target];
+  return mapping;
+}
+
+// ============================================
+// STITCH TEXT
+// ============================================
+
+// Glyph for a character, falling back to capitals for fonts without
+// lowercase letters. Null if the font doesn't have it.
+function getStitchGlyph(font, char) {
+  return font.glyphs[char] || font.glyphs[char.toUpperCase()] || null;
+}
+
+// Lay out text in one of the STITCH_FONTS as [row, col] offsets from the
+// top-left corner. Bold thickens each stroke one stitch to the right and
+// `scale` turns every stitch into a scale x scale block. Lines are centered
+// on the widest one with a blank row between them. Characters the font
+// lacks are skipped and listed in `missing`.
+function renderStitchText(text, fontKey, { bold = false, scale = 1 } = {}) {
+  const font = STITCH_FONTS[fontKey] || STITCH_FONTS.classic;
+  const missing = new Set();
+  const lines = String(text).replace(/\n+$/, '').split('\n').map(line => {
+    const rows = Array.from({ length: font.height }, () => []);
+    for (const char of line) {
+      const glyph = getStitchGlyph(font, char);
+      if (!glyph) {
+        missing.add(char);
+        continue;
+      }
+      // One empty column between letters
+      if (rows[0].length > 0) rows.forEach(row => row.push(false));
+      const glyphWidth = glyph[0].length + (bold ? 1 : 0);
+      glyph.forEach((pattern, y) => {
+        for (let x = 0; x < glyphWidth; x++) {
+          rows[y].push(pattern[x] === '#' || (bold && pattern[x - 1] === '#'));
+        }
+      });
+    }
+    return rows;
+  });
+
+  const width = Math.max(0, ...lines.map(rows => rows[0].length));
+  const height = lines.length * (font.height + 1) - 1;
+  const cells = [];
+  lines.forEach((rows, lineIdx) => {
+    const top = lineIdx * (font.height + 1);
+    const left = Math.floor((width - rows[0].length) / 2);
+    rows.forEach((row, y) => row.forEach((on, x) => {
+      if (!on) return;
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          cells.push([(top + y) * scale + dy, (left + x) * scale + dx]);
+        }
+      }
+    }));
+  });
+
+  return { cells, width: width * scale, height: height * scale, missing: [...missing] };
+}
+
+// ============================================
+// BORDERS
+// ============================================
+
+// One repeat of the Greek key: a single line that climbs, hooks back into
+// a spiral and runs on into the next repeat. Rows go from the outer edge
+// of the border inwards.
+const GREEK_KEY_TILE = [
+  '#####.',
+  '#...#.',
+  '#.###.',
+  '#.#...',
+  '#.####'
+];
+
+// Frame the pattern with `size` rows and columns on every side. 'solid'
+// uses codes[0]; 'checks' (2-stitch checks), 'stripes' (one-stitch rings)
+// and 'greek-key' (a codes[1] key on codes[0], at least 5 wide) use both.
+// Mutates the result, adding the border stitches to the color counts.
+function addBorder(result, size, style, codes) {
+  const oldRows = result.grid.length;
+  const oldCols = result.grid[0].length;
+  const rows = oldRows + size * 2;
+  const cols = oldCols + size * 2;
+  const [ground, accent = ground] = codes;
+  const keyHeight = GREEK_KEY_TILE.length;
+  const keyWidth = GREEK_KEY_TILE[0].length;
+  const keyOffset = Math.floor((size - keyHeight) / 2);
+  const inKey = depth => depth >= keyOffset && depth < keyOffset + keyHeight;
+  const onKeyEdge = depth => depth === keyOffset || depth === keyOffset + keyHeight - 1;
+
+  // Key stitch `depth` in from the edge and `along` a side of `length`
+  // stitches, with the repeats centered between the corners
+  const isKeyStitch = (depth, along, length) => {
+    if (!inKey(depth)) return false;
+    const shift = Math.floor(((length - size * 2) % keyWidth) / 2);
+    const x = (((along - size - shift) % keyWidth) + keyWidth) % keyWidth;
+    return GREEK_KEY_TILE[depth - keyOffset][x] === '#';
+  };
+
+  const borderCode = (row, col) => {
+    const top = row;
+    const bottom = rows - 1 - row;
+    const left = col;
+    const right = cols - 1 - col;
+    if (style === 'checks') {
+      return (Math.floor(row / 2) + Math.floor(col / 2)) % 2 === 0 ? ground : accent;
+    }
+    if (style === 'stripes') {
+      return Math.min(top, bottom, left, right) % 2 === 0 ? ground : accent;
+    }
+    if (style !== 'greek-key') return ground;
+
+    const dy = Math.min(top, bottom);
+    const dx = Math.min(left, right);
+    // Corners get a square block the height of the key
+    if (dx < size && dy < size) {
+      return inKey(dx) && inKey(dy) && (onKeyEdge(dx) || onKeyEdge(dy)) ? accent : ground;
+    }
+    // Each side runs clockwise so the key turns the corners the same way
+    let keyStitch;
+    if (top < size) keyStitch = isKeyStitch(top, col, cols);
+    else if (right < size) keyStitch = isKeyStitch(right, row, rows);
+    else if (bottom < size) keyStitch = isKeyStitch(bottom, cols - 1 - col, cols);
+    else keyStitch = isKeyStitch(left, rows - 1 - row, rows);
+    return keyStitch ? accent : ground;
+  };
+
+  const grid = [];
+  for (let row = 0; row < rows; row++) {
+    const line = [];
+    for (let col = 0; col < cols; col++) {
+      const inside = row >= size && row < size + oldRows && col >= size && col < size + oldCols;
+      if (inside) {
+        line.push(result.grid[row - size][col - size]);
+      } else {
+        const code = borderCode(row, col);
+        result.colorCounts[code] = (result.colorCounts[code] || 0) + 1;
+        line.push(code);
+      }
+    }
+    grid.push(line);
+  }
+  result.grid = grid;
+  
+  // Stitch types stay on their cells inside the frame
+  const stitchTypes = {};
+  for (const [index, type] of Object.entries(result.stitchTypes || {})) {
+    stitchTypes[(Math.floor(index / oldCols) + size) * cols + (index % oldCols) + size] = type;
+  }
+  result.stitchTypes = stitchTypes;
+}
+
+// Give every background stitch a real color, dropping the background code
+function fillBackground(result, code) {
+  if (code === BACKGROUND_CODE || !result.colorMap[BACKGROUND_CODE]) return;
+  result.grid = result.grid.map(row => row.map(c => (c === BACKGROUND_CODE ? code : c)));
+  result.colorCounts[code] = (result.colorCounts[code] || 0) + (result.colorCounts[BACKGROUND_CODE] || 0);
+  delete result.colorMap[BACKGROUND_CODE];
+  delete result.colorCounts[BACKGROUND_CODE];
+  if (result.threadMap) delete result.threadMap[BACKGROUND_CODE];
+}
+
+// ============================================
+// STITCH TYPES
+// ============================================
+
+// Stitches that can be assigned to cells on top of their color, stored
+// sparsely as result.stitchTypes {cellIndex: type}. Cells without one are
+// plain tent stitch in whichever method the stitcher prefers.
+const STITCH_TYPES = {
+  basketweave: { label: 'Basketweave', description: 'Tent stitch worked in diagonal rows' },
+  continental: { label: 'Continental', description: 'Tent stitch worked in horizontal rows' },
+  scotch: { label: 'Scotch', description: 'Diagonal stitches of growing length in square blocks' },
+  smyrna: { label: 'Smyrna Cross', description: 'Diagonal cross topped by an upright cross' },
+  brick: { label: 'Brick', description: 'Upright stitches over two threads, offset row to row' }
+};
+const DEFAULT_STITCH_LABEL = 'Tent';
+
+// Marker lines for each stitch type as [x1, y1, x2, y2] fractions of a
+// cell. They match the CSS textures on the grid (.stitch-type-*).
+const STITCH_TEXTURE_SEGMENTS = {
+  basketweave: [[0, 1, 1, 0]],
+  continental: [[0, 1 / 3, 1, 1 / 3], [0, 2 / 3, 1, 2 / 3]],
+  scotch: [[0, 0.5, 0.5, 0], [0, 1, 1, 0], [0.5, 1, 1, 0.5]],
+  smyrna: [[0, 0, 1, 1], [0, 1, 1, 0], [0.5, 0, 0.5, 1], [0, 0.5, 1, 0.5]],
+  brick: [[1 / 3, 0, 1 / 3, 1], [2 / 3, 0, 2 / 3, 1]]
+};
+
+// Marker lines for a stitch type in the canvas cell at (x, y)
+function drawStitchTexture(ctx, type, x, y, size, color) {
+  const segments = STITCH_TEXTURE_SEGMENTS[type];
+  if (!segments) return;
   
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(1, size / 12);
+  ctx.beginPath();
+  for (const [x1, y1, x2, y2] of segments) {
+    ctx.moveTo(x + x1 * size, y + y1 * size);
+    ctx.lineTo(x + x2 * size, y + y2 * size);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Indices of the cells joined to (rowIdx, colIdx) by edges through
+// cells of the same color code
+function findColorRegion(grid, rowIdx, colIdx) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const code = grid[rowIdx][colIdx];
+  const start = rowIdx * cols + colIdx;
+  const region = new Set([start]);
+  const stack = [start];
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    for (const [r, c] of [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]]) {
+      if (r < 0 || r >= rows || c < 0 || c >= cols || grid[r][c] !== code) continue;
+      const next = r * cols + c;
+      if (region.has(next)) continue;
+      region.add(next);
+      stack.push(next);
+    }
+  }
+  return [...region];
+}
+
+// Stitches of each assigned type, with plain tent stitches under null
+function countStitchTypes(result) {
+  const counts = new Map([[null, result.grid.length * result.grid[0].length]]);
+  for (const type of Object.values(result.stitchTypes || {})) {
+    counts.set(type, (counts.get(type) || 0) + 1);
+    counts.set(null, counts.get(null) - 1);
+  }
+  return counts;
+}
+
+// ============================================
+// YARN ESTIMATES
+// ============================================
+
+// Yarn in one tent stitch, in canvas-thread spacings: the diagonal on the
+// front plus the carry to the next stitch on the back. Continental carries
+// two threads across and one down (√5); basketweave carries straight
+// along two threads.
+const STITCH_METHODS = {
+  continental: { label: 'Continental', yarnPerStitch: Math.SQRT2 + Math.sqrt(5) },
+  basketweave: { label: 'Basketweave', yarnPerStitch: Math.SQRT2 + 2 }
+};
+
+// `waste` is the percentage added for tails and ripped-out stitches;
+// `skeinYards` is the skein size assumed for colors without a thread
+const DEFAULT_YARN_SETTINGS = { method: 'basketweave', waste: 20, skeinYards: 8 };
+
+// Strands threaded together for the catalog's closest mesh size
+function strandsForMesh(catalog, mesh) {
+  const meshes = Object.keys(catalog.strandsByMesh).map(Number);
+  const closest = meshes.reduce((best, m) => (Math.abs(m - mesh) < Math.abs(best - mesh) ? m : best));
+  return catalog.strandsByMesh[closest];
+}
+
+// Yards of working yarn and whole skeins to buy for `stitches` tent
+// stitches. Matched threads use their brand's skein size and strand count.
+function estimateYarn(stitches, thread, mesh = meshCount, settings = yarnSettings) {
+  const method = STITCH_METHODS[settings.method] || STITCH_METHODS.basketweave;
+  const inches = (stitches * method.yarnPerStitch / mesh) * (1 + settings.waste / 100);
+  const yards = inches / 36;
+  const catalog = thread && THREAD_CATALOGS[thread.brand];
+  const skeinWorkingYards = catalog && catalog.skeinYards
+    ? catalog.skeinYards * catalog.skeinStrands / strandsForMesh(catalog, mesh)
+    : settings.skeinYards;
+  return { yards, skeins: Math.ceil(yards / skeinWorkingYards) };
+}
+
+function formatYarnEstimate({ yards, skeins }) {
+  return `≈ ${yards.toFixed(1)} yd · ${skeins} skein${skeins === 1 ? '' : 's'}`;
+}
+
+// ============================================
+// SHOPPING LIST
+// ============================================
+
+// `margin` is the bare canvas in inches left on every side for blocking
+// and finishing. Skein prices are keyed by brand ('other' for colors
+// without a thread); the canvas has a flat price.
+const DEFAULT_SHOPPING_SETTINGS = { margin: 2, canvasPrice: 0, skeinPrices: {} };
+
+// Canvas to buy in whole inches: the pattern plus the margin on each side
+function getCanvasToBuy(rows, cols, mesh, margin) {
   return {
-    grid: codeGrid,
-    colorMap: codeToHex,
-    colorCounts: codeCounts,
-    numColors: sortedColors.length
+    width: Math.ceil(cols / mesh + margin * 2),
+    height: Math.ceil(rows / mesh + margin * 2)
   };
 }
 
+// Yarn and canvas to buy for the pattern, with their costs
+function buildShoppingList(result, mesh = meshCount, settings = shoppingSettings) {
+  const { grid, colorMap, colorCounts, threadMap } = result;
+  const items = sortCodes(Object.keys(colorMap))
+    .filter(code => colorCounts[code] > 0)
+    .map(code => {
+      const thread = (threadMap && threadMap[code]) || null;
+      const priceKey = thread ? thread.brand : 'other';
+      const price = settings.skeinPrices[priceKey] || 0;
+      const { yards, skeins } = estimateYarn(colorCounts[code], thread, mesh);
+      return { code, hex: colorMap[code], thread, priceKey, stitches: colorCounts[code], yards, skeins, price, cost: skeins * price };
+    });
+  const canvas = getCanvasToBuy(grid.length, grid[0].length, mesh, settings.margin);
+  const yarnCost = items.reduce((sum, item) => sum + item.cost, 0);
+  return {
+    items,
+    canvas: { ...canvas, mesh, price: settings.canvasPrice },
+    yarnCost,
+    total: yarnCost + settings.canvasPrice
+  };
+}
+
+function formatPrice(amount) {
+  return amount.toFixed(2);
+}
+
+// Short description of a shopping list item's yarn
+function describeShoppingItem(item) {
+  if (item.thread) return `${formatThreadNumber(item.thread)} ${item.thread.name}`;
+  return item.code === BACKGROUND_CODE ? `Background ${item.hex}` : item.hex;
+}
+
 // ============================================
 // UI RENDERING
 // ============================================
 
 let currentResult = null;
 let showCodes = true;
+let chartStyle = 'codes'; // 'codes', 'symbols' or 'symbols-only' (no color fill, for printing)
 let showGridLines = true;
 let aspectLinked = true;
 let imageAspectRatio = null;
@@ -216,12 +2414,31 @@ let meshCount = 18;
 let unitMode = 'inches'; // 'inches' or 'stitches'
 let currentProjectId = null;
 let selectedLegendCode = null;
+let mergeSelection = new Set(); // legend codes picked for merging
 let completedCells = new Set();
 let actionHistory = [];
 const MAX_UNDO_HISTORY = 500;
 let interactionMode = 'progress';
 let paintColorCode = '1';
 let updatePaintControls = null;
+let threadBrand = null; // THREAD_CATALOGS key to snap palette colors to, or null
+let yarnSettings = { ...DEFAULT_YARN_SETTINGS }; // stitch method, waste % and skein size for estimates
+let shoppingSettings = { ...DEFAULT_SHOPPING_SETTINGS }; // canvas margin and prices for the shopping list
+let colorSpace = 'rgb'; // 'rgb' or 'lab' (perceptual, CIEDE2000)
+let quantizer = 'median-cut'; // 'median-cut', 'kmeans', 'octree' or 'wu'
+let resampleMode = 'smooth'; // 'smooth', 'majority', 'edge', 'nearest' or 'pixel-art'
+let ditherMode = 'none'; // 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+let ditherStrength = 75; // percent of the quantization error to spread
+let lockedColors = []; // [{hex, thread}] always kept in the palette
+let paletteSource = 'image'; // 'image' (quantize) or 'stash' (pick from the yarn stash)
+let backgroundMode = 'fill'; // 'fill' transparency, or 'exclude' the background as its own code
+let backgroundColor = '#FFFFFF';
+let confettiThreshold = 0; // largest cluster (in stitches) to clean up, 0 = off
+let imagePrep = defaultImagePrep(); // rotation, flips and crop applied before converting
+let imageAdjustments = { ...DEFAULT_ADJUSTMENTS };
+
+// Largest pattern width or height the app handles, in stitches
+const MAX_PATTERN_STITCHES = 360;
 
 // Size presets for common needlepoint projects (in stitches at 18 mesh)
 const SIZE_PRESETS = [
@@ -298,11 +2515,56 @@ function getTextColor(hex) {
   return luminance > 0.5 ? '#000' : '#fff';
 }
 
+// Chart symbols for codes 1, 2, 3... All of them are in the WinAnsi
+// (Windows-1252) character set, so they print with standard fonts.
+const CHART_SYMBOLS = [...'+×÷=#@%&$§¶©®°±¤¥£€?!*~^<>«»†‡•ØæßµÞƒ‰¼½¾¬/\\()[]{}ABCDEFGHJKLMNPQRSTUVWXYZabdefghkmnqrty'];
+
+// Symbol for a color code. Codes past the end of the set keep their number.
+function getCodeSymbol(code) {
+  if (code === BACKGROUND_CODE) return '';
+  const number = parseInt(code, 10);
+  return number >= 1 && number <= CHART_SYMBOLS.length ? CHART_SYMBOLS[number - 1] : code;
+}
+
+// Fill, text color and label of a grid cell in a chart style (the current
+// one by default), colored from the current pattern unless another palette
+// is given. Symbols-only charts are black on white and always labelled.
+function getCellAppearance(code, style = chartStyle, colorMap = currentResult.colorMap) {
+  if (style === 'symbols-only') {
+    return { fill: '#FFFFFF', text: '#000', label: getCodeSymbol(code) };
+  }
+  const hex = colorMap[code];
+  let label = '';
+  if (showCodes && code !== BACKGROUND_CODE) {
+    label = style === 'symbols' ? getCodeSymbol(code) : code;
+  }
+  return { fill: hex, text: getTextColor(hex), label };
+}
+
+// Hover text for a grid cell: position, code, hex and matched thread
+function getCellTitle(rowIdx, colIdx, code) {
+  const { colorMap, threadMap } = currentResult;
+  const thread = threadMap && threadMap[code];
+  const threadText = thread ? ` (${formatThreadNumber(thread)} ${thread.name})` : '';
+  const stitchType = getStitchType(rowIdx * currentResult.grid[0].length + colIdx);
+  const stitchText = stitchType ? `\n${STITCH_TYPES[stitchType].label}` : '';
+  if (code === BACKGROUND_CODE) {
+    return `Row ${rowIdx + 1}, Col ${colIdx + 1}\nBackground: ${colorMap[code]}${stitchText}`;
+  }
+  return `Row ${rowIdx + 1}, Col ${colIdx + 1}\n${code}: ${colorMap[code]}${threadText}${stitchText}`;
+}
+
+// Stitch type assigned to a cell of the current pattern, or null for tent
+function getStitchType(index) {
+  const stitchTypes = currentResult && currentResult.stitchTypes;
+  return (stitchTypes && stitchTypes[index]) || null;
+}
+
 function renderGrid(cellSize) {
   if (!currentResult) return;
   
   const gridEl = document.getElementById('grid');
-  const { grid, colorMap } = currentResult;
+  const { grid } = currentResult;
   const cols = grid[0].length;
   
   gridEl.innerHTML = '';
@@ -312,14 +2574,22 @@ function renderGrid(cellSize) {
     row.forEach((code, colIdx) => {
       const cell = document.createElement('div');
       const cellIndex = rowIdx * cols + colIdx;
-      cell.className = 'cell' + (showCodes ? ' show-codes' : '');
-      cell.style.backgroundColor = colorMap[code];
-      cell.style.color = getTextColor(colorMap[code]);
+      const appearance = getCellAppearance(code);
+      cell.className = 'cell' + (appearance.label ? ' show-codes' : '');
+      cell.style.backgroundColor = appearance.fill;
+      cell.style.color = appearance.text;
       cell.style.width = cellSize + 'px';
       cell.style.height = cellSize + 'px';
       cell.style.borderWidth = showGridLines ? '1px' : '0';
       cell.dataset.code = code;
       cell.dataset.index = cellIndex.toString();
+      if (code === BACKGROUND_CODE) {
+        cell.classList.add('background');
+      }
+      const stitchType = getStitchType(cellIndex);
+      if (stitchType) {
+        cell.classList.add(`stitch-type-${stitchType}`);
+      }
       
       if (completedCells.has(cellIndex)) {
         cell.classList.add('completed');
@@ -332,8 +2602,8 @@ function renderGrid(cellSize) {
           cell.classList.add('dimmed');
         }
       }
-      if (showCodes) cell.textContent = code;
-      cell.title = `Row ${rowIdx + 1}, Col ${colIdx + 1}\n${code}: ${colorMap[code]}`;
+      cell.textContent = appearance.label;
+      cell.title = getCellTitle(rowIdx, colIdx, code);
       gridEl.appendChild(cell);
     });
   });
@@ -343,14 +2613,12 @@ function renderLegend() {
   if (!currentResult) return;
   
   const legendEl = document.getElementById('legend');
-  const { colorMap, colorCounts } = currentResult;
+  const { colorMap, colorCounts, threadMap } = currentResult;
   
   legendEl.innerHTML = '';
   
   // Sort by code number
-  const codes = Object.keys(colorMap).sort((a, b) => {
-    return parseInt(a) - parseInt(b);
-  });
+  const codes = sortCodes(Object.keys(colorMap));
   
   for (const code of codes) {
     const item = document.createElement('div');
@@ -364,123 +2632,1107 @@ function renderLegend() {
     } else {
       item.setAttribute('aria-pressed', 'false');
     }
-    item.innerHTML = `
-      <div class="legend-swatch" style="background:${colorMap[code]}"></div>
-      <div class="legend-info">
-        <strong>${code}</strong>
-        <span class="hex">${colorMap[code]}</span>
-        <span class="count">${colorCounts[code]} stitches</span>
-      </div>
-    `;
-    legendEl.appendChild(item);
+    if (mergeSelection.has(code)) {
+      item.classList.add('merge-selected');
+    }
+    const thread = threadMap && threadMap[code];
+    const isBackground = code === BACKGROUND_CODE;
+    item.innerHTML = `
+      <div class="legend-swatch${isBackground ? ' background' : ''}" style="background-color:${colorMap[code]}" title="Edit color"></div>
+      <div class="legend-info">
+        <strong>${code}${isBackground ? '' : ` <span class="legend-symbol" title="Chart symbol">${escapeXml(getCodeSymbol(code))}</span>`}</strong>
+        ${isBackground ? '<span class="thread">Background</span>' : ''}
+        ${thread ? `<span class="thread">${formatThreadNumber(thread)} · ${thread.name}</span>` : ''}
+        <span class="hex">${colorMap[code]}</span>
+        <span class="count">${colorCounts[code]} stitches</span>
+        <span class="yarn">${formatYarnEstimate(estimateYarn(colorCounts[code] || 0, thread))}</span>
+      </div>
+    `;
+    legendEl.appendChild(item);
+  }
+  
+  renderMergeToolbar();
+  renderBorderToolbar();
+  renderStashReport();
+  renderStitchKey();
+  renderShoppingList();
+  
+  if (typeof updatePaintControls === 'function') {
+    updatePaintControls();
+  }
+}
+
+// Merge controls for the colors shift-selected in the legend
+function renderMergeToolbar() {
+  const toolbarEl = document.getElementById('mergeToolbar');
+  const codes = sortCodes([...mergeSelection]);
+  if (codes.length < 2) {
+    toolbarEl.classList.remove('visible');
+    return;
+  }
+  
+  const { colorMap, threadMap } = currentResult;
+  document.getElementById('mergeSummary').textContent = `${codes.length} colors selected`;
+  const options = codes.map(code => {
+    const thread = threadMap && threadMap[code];
+    const label = thread ? `${formatThreadNumber(thread)} ${thread.name}` : colorMap[code];
+    return `<option value="${code}">${code}: ${label}</option>`;
+  });
+  options.push('<option value="average">Average of selected</option>');
+  
+  // Keep the current choice when the legend re-renders
+  const targetEl = document.getElementById('mergeTarget');
+  const previous = targetEl.value;
+  targetEl.innerHTML = options.join('');
+  if (previous === 'average' || codes.includes(previous)) targetEl.value = previous;
+  toolbarEl.classList.add('visible');
+}
+
+// Fill the border color choices from the palette, keeping the current
+// picks when they still exist. Background is left out while it is being
+// filled, since the fill removes it from the palette.
+function renderBorderToolbar() {
+  const { colorMap, threadMap } = currentResult;
+  const filling = document.getElementById('fillBackground').checked && Boolean(colorMap[BACKGROUND_CODE]);
+  const codes = sortCodes(Object.keys(colorMap)).filter(code => !filling || code !== BACKGROUND_CODE);
+  const options = codes.map(code => {
+    const thread = threadMap && threadMap[code];
+    const label = code === BACKGROUND_CODE ? 'Background'
+      : thread ? `${formatThreadNumber(thread)} ${thread.name}` : colorMap[code];
+    return `<option value="${code}">${code}: ${label}</option>`;
+  }).join('');
+  
+  [['borderColor', 0], ['borderAccent', 1]].forEach(([id, fallback]) => {
+    const selectEl = document.getElementById(id);
+    const previous = selectEl.value;
+    selectEl.innerHTML = options;
+    selectEl.value = codes.includes(previous) ? previous : codes[Math.min(fallback, codes.length - 1)];
+  });
+  
+  const style = document.getElementById('borderStyle').value;
+  document.getElementById('borderAccentLabel').style.display = style === 'solid' ? 'none' : '';
+  document.getElementById('fillBackgroundLabel').style.display = colorMap[BACKGROUND_CODE] ? '' : 'none';
+}
+
+// Which stash colors the pattern uses and how many stitches each needs
+function renderStashReport() {
+  const reportEl = document.getElementById('stashReport');
+  if (!currentResult || !currentResult.stash) {
+    reportEl.classList.remove('visible');
+    reportEl.innerHTML = '';
+    return;
+  }
+  
+  const { colorMap, colorCounts, stash } = currentResult;
+  const stitchesByHex = new Map();
+  for (const code of Object.keys(colorMap)) {
+    const hex = colorMap[code];
+    stitchesByHex.set(hex, (stitchesByHex.get(hex) || 0) + colorCounts[code]);
+  }
+  
+  const used = stash
+    .filter(entry => stitchesByHex.get(entry.hex) > 0)
+    .sort((a, b) => stitchesByHex.get(b.hex) - stitchesByHex.get(a.hex));
+  
+  const rows = used.map(entry => `
+      <tr>
+        <td><span class="swatch" style="background:${entry.hex}"></span>${entry.thread ? formatThreadNumber(entry.thread) : entry.hex}</td>
+        <td>${entry.thread ? entry.thread.name : ''}</td>
+        <td>${stitchesByHex.get(entry.hex)}</td>
+      </tr>`).join('');
+  
+  reportEl.innerHTML = `
+    <h2>Stash Usage</h2>
+    <p class="stash-summary">${used.length} of ${stash.length} stash colors used</p>
+    <table class="stash-table">
+      <thead><tr><th>Thread</th><th>Name</th><th>Stitches</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  reportEl.classList.add('visible');
+}
+
+// Stitch types used in the pattern with their stitch counts. Hidden while
+// every stitch is plain tent.
+function renderStitchKey() {
+  const keyEl = document.getElementById('stitchKey');
+  const counts = currentResult ? countStitchTypes(currentResult) : new Map();
+  if (counts.size < 2) {
+    keyEl.classList.remove('visible');
+    keyEl.innerHTML = '';
+    return;
+  }
+  
+  const types = [null, ...Object.keys(STITCH_TYPES).filter(type => counts.has(type))];
+  const items = types.filter(type => counts.get(type) > 0).map(type => {
+    const label = type ? STITCH_TYPES[type].label : DEFAULT_STITCH_LABEL;
+    const description = type ? STITCH_TYPES[type].description : 'Plain tent stitch in your usual method';
+    return `
+      <div class="stitch-key-item">
+        <div class="stitch-swatch${type ? ` stitch-type-${type}` : ''}"></div>
+        <div class="legend-info">
+          <strong>${label}</strong>
+          <span class="thread">${description}</span>
+          <span class="count">${counts.get(type)} stitches</span>
+        </div>
+      </div>`;
+  }).join('');
+  
+  keyEl.innerHTML = `
+    <h2>Stitch Key</h2>
+    <div class="stitch-key">${items}</div>
+  `;
+  keyEl.classList.add('visible');
+}
+
+// Canvas and yarn to buy with their prices. The price inputs sit outside
+// the table so printing can leave them out.
+function renderShoppingList() {
+  const listEl = document.getElementById('shoppingList');
+  if (!currentResult) {
+    listEl.innerHTML = '';
+    return;
+  }
+  
+  const { items, canvas, yarnCost, total } = buildShoppingList(currentResult);
+  const priceKeys = [...new Set(items.map(item => item.priceKey))]
+    .sort((a, b) => (a === 'other') - (b === 'other') || a.localeCompare(b));
+  const priceInputs = priceKeys.map(key => {
+    const label = key === 'other' ? 'Other yarn' : THREAD_CATALOGS[key]?.name || key;
+    const value = shoppingSettings.skeinPrices[key] || 0;
+    return `
+      <label>
+        ${label} per skein
+        <input type="number" min="0" step="0.05" value="${value}" data-price-key="${key}">
+      </label>`;
+  }).join('');
+  
+  const rows = items.map(item => `
+      <tr>
+        <td><span class="swatch" style="background:${item.hex}"></span>${item.code}</td>
+        <td>${describeShoppingItem(item)}</td>
+        <td>${item.yards.toFixed(1)}</td>
+        <td>${item.skeins}</td>
+        <td>${formatPrice(item.price)}</td>
+        <td>${formatPrice(item.cost)}</td>
+      </tr>`).join('');
+  
+  listEl.innerHTML = `
+    <h2>Shopping List</h2>
+    <div class="legend-toolbar shopping-settings">
+      <label>
+        Margin
+        <input type="number" min="0" max="12" step="0.5" value="${shoppingSettings.margin}" data-setting="margin"> in
+      </label>
+      <label>
+        Canvas price
+        <input type="number" min="0" step="0.5" value="${shoppingSettings.canvasPrice}" data-setting="canvasPrice">
+      </label>
+      ${priceInputs}
+    </div>
+    <p class="stash-summary">
+      Canvas: ${canvas.width}" × ${canvas.height}" of ${canvas.mesh} mesh, including a ${shoppingSettings.margin}" margin on each side
+    </p>
+    <table class="stash-table shopping-table">
+      <thead><tr><th>Code</th><th>Yarn</th><th>Yards</th><th>Skeins</th><th>Each</th><th>Cost</th></tr></thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr><td colspan="5">Yarn</td><td>${formatPrice(yarnCost)}</td></tr>
+        <tr><td colspan="5">Canvas</td><td>${formatPrice(canvas.price)}</td></tr>
+        <tr class="total"><td colspan="5">Total</td><td>${formatPrice(total)}</td></tr>
+      </tfoot>
+    </table>
+  `;
+}
+
+// Pattern size, physical size at the given mesh and color count
+function renderPatternInfo(mesh = meshCount) {
+  const height = currentResult.grid.length;
+  const width = currentResult.grid[0].length;
+  const widthInches = Math.round((width / mesh) * 10) / 10;
+  const heightInches = Math.round((height / mesh) * 10) / 10;
+  document.getElementById('patternInfo').textContent = 
+    `${height} rows × ${width} columns (${widthInches}" × ${heightInches}" at ${mesh} mesh) • ${currentResult.numColors} colors`;
+  renderCleanupInfo();
+}
+
+// Summary of the confetti cleanup done when the pattern was converted
+function renderCleanupInfo() {
+  const infoEl = document.getElementById('cleanupInfo');
+  const cleanup = currentResult && currentResult.cleanup;
+  if (!cleanup) {
+    infoEl.classList.remove('visible');
+    infoEl.textContent = '';
+    return;
+  }
+  const { stitchesChanged, colorChangesBefore, colorChangesAfter } = cleanup;
+  infoEl.textContent = `Confetti cleanup: ${stitchesChanged.toLocaleString()} stitches reassigned • ` +
+    `color changes ${colorChangesBefore.toLocaleString()} → ${colorChangesAfter.toLocaleString()}`;
+  infoEl.classList.add('visible');
+}
+
+function showStatus(message, type) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = 'status visible ' + type;
+}
+
+function hideStatus() {
+  document.getElementById('status').className = 'status';
+}
+
+// ============================================
+// CSV GENERATION
+// ============================================
+
+function generateGridCSV() {
+  if (!currentResult) return '';
+  
+  const { grid } = currentResult;
+  const cols = grid[0].length;
+  
+  let csv = 'row,' + Array.from({ length: cols }, (_, i) => `c${String(i + 1).padStart(2, '0')}`).join(',') + '\n';
+  
+  grid.forEach((row, idx) => {
+    csv += `r${String(idx + 1).padStart(2, '0')},${row.join(',')}\n`;
+  });
+  
+  return csv;
+}
+
+// Same layout as the grid CSV with each cell's stitch type (blank for tent)
+function generateStitchMapCSV() {
+  if (!currentResult) return '';
+  
+  const { grid } = currentResult;
+  const stitchTypes = currentResult.stitchTypes || {};
+  const cols = grid[0].length;
+  
+  let csv = 'row,' + Array.from({ length: cols }, (_, i) => `c${String(i + 1).padStart(2, '0')}`).join(',') + '\n';
+  
+  grid.forEach((row, rowIdx) => {
+    const types = row.map((_, colIdx) => stitchTypes[rowIdx * cols + colIdx] || '');
+    csv += `r${String(rowIdx + 1).padStart(2, '0')},${types.join(',')}\n`;
+  });
+  
+  return csv;
+}
+
+function generateLegendCSV() {
+  if (!currentResult) return '';
+  
+  const { colorMap, colorCounts, threadMap } = currentResult;
+  let csv = 'code,hex,pixel_count,brand,thread_number,thread_name,yarn_yards,skeins,symbol\n';
+  
+  const codes = sortCodes(Object.keys(colorMap));
+  
+  for (const code of codes) {
+    const thread = threadMap && threadMap[code];
+    let threadColumns = ['', '', ''];
+    if (thread) {
+      threadColumns = [THREAD_CATALOGS[thread.brand]?.name || thread.brand, thread.number, thread.name];
+    } else if (code === BACKGROUND_CODE) {
+      threadColumns = ['', '', 'Background'];
+    }
+    const yarn = estimateYarn(colorCounts[code] || 0, thread);
+    csv += `${code},${colorMap[code]},${colorCounts[code]},${threadColumns.join(',')},${yarn.yards.toFixed(1)},${yarn.skeins},${getCodeSymbol(code)}\n`;
+  }
+  
+  return csv;
+}
+
+// Yarn and canvas to buy, one row per item, then the total
+function generateShoppingListCSV() {
+  if (!currentResult) return '';
+  
+  const { items, canvas, total } = buildShoppingList(currentResult);
+  let csv = 'item,code,brand,thread_number,thread_name,hex,stitches,yarn_yards,quantity,unit_price,cost\n';
+  
+  for (const item of items) {
+    const { code, hex, thread, stitches, yards, skeins, price, cost } = item;
+    const threadColumns = thread
+      ? [THREAD_CATALOGS[thread.brand]?.name || thread.brand, thread.number, thread.name]
+      : ['', '', code === BACKGROUND_CODE ? 'Background' : ''];
+    csv += `yarn,${code},${threadColumns.join(',')},${hex},${stitches},${yards.toFixed(1)},${skeins},${formatPrice(price)},${formatPrice(cost)}\n`;
+  }
+  csv += `canvas,,,,${canvas.mesh} mesh canvas ${canvas.width} x ${canvas.height} in,,,,1,${formatPrice(canvas.price)},${formatPrice(canvas.price)}\n`;
+  csv += `total,,,,,,,,,,${formatPrice(total)}\n`;
+  
+  return csv;
+}
+
+function downloadCSV(content, filename) {
+  const blob = new Blob([content], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// One pixel per stitch, for the preview PNG. Drawn from the grid so it
+// reflects edits made after conversion.
+function renderPreviewToCanvas(result = currentResult) {
+  if (!result) return null;
+  
+  const { grid, colorMap } = result;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = cols;
+  canvas.height = rows;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(cols, rows);
+  const rgbByCode = {};
+  for (const code of Object.keys(colorMap)) {
+    rgbByCode[code] = hexToRgb(colorMap[code]);
+  }
+  
+  grid.forEach((row, rowIdx) => {
+    row.forEach((code, colIdx) => {
+      const idx = (rowIdx * cols + colIdx) * 4;
+      imageData.data.set([...rgbByCode[code], 255], idx);
+    });
+  });
+  ctx.putImageData(imageData, 0, 0);
+  
+  return canvas;
+}
+
+function renderGridToCanvas(cellSize) {
+  if (!currentResult) return null;
+  
+  const { grid } = currentResult;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = cols * cellSize;
+  canvas.height = rows * cellSize;
+  const ctx = canvas.getContext('2d');
+  
+  grid.forEach((row, rowIdx) => {
+    row.forEach((code, colIdx) => {
+      const x = colIdx * cellSize;
+      const y = rowIdx * cellSize;
+      
+      // Fill cell with color (white for symbols-only charts)
+      const appearance = getCellAppearance(code);
+      ctx.fillStyle = appearance.fill;
+      ctx.fillRect(x, y, cellSize, cellSize);
+      
+      // Hatch background cells so they stand apart from the design colors
+      if (code === BACKGROUND_CODE) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, y + cellSize);
+        ctx.lineTo(x + cellSize, y);
+        ctx.stroke();
+      }
+      
+      // Mark decorative and tent-method stitches
+      const stitchType = getStitchType(rowIdx * cols + colIdx);
+      if (stitchType) {
+        const lineColor = appearance.text === '#000' ? 'rgba(0, 0, 0, 0.45)' : 'rgba(255, 255, 255, 0.45)';
+        drawStitchTexture(ctx, stitchType, x, y, cellSize, lineColor);
+      }
+      
+      // Draw grid lines
+      if (showGridLines) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, cellSize - 1, cellSize - 1);
+      }
+      
+      // Draw codes or symbols if enabled
+      if (appearance.label) {
+        ctx.fillStyle = appearance.text;
+        ctx.font = `bold ${Math.max(6, cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(appearance.label, x + cellSize / 2, y + cellSize / 2);
+      }
+    });
+  });
+  
+  return canvas;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Vector chart with the same fills, codes or symbols and grid lines as the
+// grid image, bold lines every 10 stitches, and optionally the legend below.
+// Each cell is 10 units; runs of same-colored cells share one rectangle.
+function generateChartSVG(includeLegend = true) {
+  if (!currentResult) return '';
+  
+  const { grid, colorMap, colorCounts, threadMap } = currentResult;
+  const stitchTypes = currentResult.stitchTypes || {};
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const cell = 10;
+  const chartWidth = cols * cell;
+  const chartHeight = rows * cell;
+  const codes = sortCodes(Object.keys(colorMap));
+  const appearanceByCode = {};
+  for (const code of codes) {
+    appearanceByCode[code] = getCellAppearance(code);
+  }
+  
+  const fills = [];
+  const hatches = [];
+  const textures = [];
+  const labels = [];
+  grid.forEach((row, rowIdx) => {
+    const y = rowIdx * cell;
+    let runStart = 0;
+    row.forEach((code, colIdx) => {
+      const appearance = appearanceByCode[code];
+      const x = colIdx * cell;
+      if (colIdx === cols - 1 || appearanceByCode[row[colIdx + 1]].fill !== appearance.fill) {
+        fills.push(`<rect x="${runStart * cell}" y="${y}" width="${(colIdx + 1 - runStart) * cell}" height="${cell}" fill="${appearance.fill}"/>`);
+        runStart = colIdx + 1;
+      }
+      if (code === BACKGROUND_CODE) hatches.push(`M${x} ${y + cell}L${x + cell} ${y}`);
+      
+      const segments = STITCH_TEXTURE_SEGMENTS[stitchTypes[rowIdx * cols + colIdx]];
+      if (segments) {
+        const round = value => Math.round(value * 100) / 100;
+        const path = segments.map(([x1, y1, x2, y2]) =>
+          `M${round(x + x1 * cell)} ${round(y + y1 * cell)}L${round(x + x2 * cell)} ${round(y + y2 * cell)}`).join('');
+        textures.push(`<path d="${path}" stroke="${appearance.text}"/>`);
+      }
+      
+      if (appearance.label) {
+        const size = appearance.label.length > 1 ? 4 : 5;
+        labels.push(`<text x="${x + cell / 2}" y="${y + cell / 2}" font-size="${size}" fill="${appearance.text}">${escapeXml(appearance.label)}</text>`);
+      }
+    });
+  });
+  
+  let gridLines = '';
+  let guidelines = '';
+  if (showGridLines) {
+    const thin = [];
+    const bold = [];
+    for (let colIdx = 0; colIdx <= cols; colIdx++) {
+      (colIdx % 10 === 0 || colIdx === cols ? bold : thin).push(`M${colIdx * cell} 0V${chartHeight}`);
+    }
+    for (let rowIdx = 0; rowIdx <= rows; rowIdx++) {
+      (rowIdx % 10 === 0 || rowIdx === rows ? bold : thin).push(`M0 ${rowIdx * cell}H${chartWidth}`);
+    }
+    gridLines = `<path id="grid-lines" d="${thin.join('')}" stroke="#000" stroke-opacity="0.3" stroke-width="0.5"/>`;
+    guidelines = `<path id="guidelines" d="${bold.join('')}" stroke="#000" stroke-width="1.2"/>`;
   }
   
-  if (typeof updatePaintControls === 'function') {
-    updatePaintControls();
+  // Legend rows: chart swatch, code, thread, hex and stitch count
+  const legend = [];
+  const legendRowHeight = 16;
+  const legendTop = chartHeight + 20;
+  if (includeLegend) {
+    codes.forEach((code, i) => {
+      const appearance = appearanceByCode[code];
+      const thread = threadMap && threadMap[code];
+      let name = thread ? `${formatThreadNumber(thread)} ${thread.name}` : '';
+      if (code === BACKGROUND_CODE) name = 'Background';
+      const y = legendTop + i * legendRowHeight;
+      legend.push(`<rect x="0" y="${y}" width="${cell * 1.2}" height="${cell * 1.2}" fill="${appearance.fill}" stroke="#999" stroke-width="0.5"/>`);
+      if (appearance.label) {
+        legend.push(`<text x="${cell * 0.6}" y="${y + cell * 0.6}" font-size="6" font-weight="bold" text-anchor="middle" dominant-baseline="central" fill="${appearance.text}">${escapeXml(appearance.label)}</text>`);
+      }
+      legend.push(`<text x="${cell * 2}" y="${y + cell * 0.6}" font-size="8" dominant-baseline="central">${escapeXml([code, colorMap[code], name, `${colorCounts[code] || 0} stitches`].filter(Boolean).join('  '))}</text>`);
+    });
   }
+  
+  const width = includeLegend ? Math.max(chartWidth, 300) : chartWidth;
+  const height = includeLegend ? legendTop + codes.length * legendRowHeight : chartHeight;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    `<g id="cells" shape-rendering="crispEdges">${fills.join('')}</g>`,
+    hatches.length ? `<path id="background-hatch" d="${hatches.join('')}" stroke="#000" stroke-opacity="0.25" stroke-width="0.5"/>` : '',
+    textures.length ? `<g id="stitch-types" stroke-opacity="0.45" stroke-width="0.8">${textures.join('')}</g>` : '',
+    gridLines,
+    guidelines,
+    labels.length ? `<g id="labels" font-weight="bold" text-anchor="middle" dominant-baseline="central">${labels.join('')}</g>` : '',
+    legend.length ? `<g id="legend">${legend.join('')}</g>` : '',
+    '</svg>'
+  ].filter(Boolean).join('\n');
 }
 
-function showStatus(message, type) {
-  const status = document.getElementById('status');
-  status.textContent = message;
-  status.className = 'status visible ' + type;
+// ============================================
+// PDF EXPORT
+// ============================================
+
+// A small PDF writer for printable charts. Text uses the standard
+// Helvetica fonts with WinAnsi encoding, so nothing has to be embedded.
+// Sizes are in points (1/72 inch) and page positions are measured from
+// the top-left corner, like the canvas.
+
+const PDF_PAGE_SIZES = { letter: [612, 792], a4: [595.28, 841.89] };
+const PDF_MARGIN = 36;
+const PDF_CELL_SIZE = 8; // 9 stitches per inch on paper
+const PDF_PAGE_OVERLAP = 3; // rows and columns repeated from the neighboring page
+
+// Characters WinAnsi places at 0x80-0x9F, where Unicode has control codes
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// PDF string literal in WinAnsi bytes. Unsupported characters become '?'.
+function pdfText(text) {
+  let bytes = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    const inLatin1 = (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff);
+    const byte = String.fromCharCode(WIN_ANSI_EXTRAS[char] || (inLatin1 ? code : 0x3f));
+    bytes += byte === '(' || byte === ')' || byte === '\\' ? '\\' + byte : byte;
+  }
+  return `(${bytes})`;
 }
 
-function hideStatus() {
-  document.getElementById('status').className = 'status';
+function pdfNumber(value) {
+  return String(Math.round(value * 100) / 100);
 }
 
-// ============================================
-// CSV GENERATION
-// ============================================
+// RGB operands for a #RGB or #RRGGBB color
+function pdfColor(hex) {
+  const full = hex.length === 4 ? '#' + [...hex.slice(1)].map(c => c + c).join('') : hex;
+  return hexToRgb(full).map(v => pdfNumber(v / 255)).join(' ');
+}
 
-function generateGridCSV() {
-  if (!currentResult) return '';
-  
-  const { grid } = currentResult;
-  const cols = grid[0].length;
+// Rough Helvetica text width, for centering and right-aligning labels
+function approxTextWidth(text, size, bold = false) {
+  return [...String(text)].length * size * (bold ? 0.6 : 0.56);
+}
+
+// Drawing commands for one page
+function createPdfPage(width, height) {
+  const ops = [];
+  const n = pdfNumber;
+  return {
+    width,
+    height,
+    ops,
+    fillRect(x, top, w, h, hex) {
+      ops.push(`${pdfColor(hex)} rg ${n(x)} ${n(height - top - h)} ${n(w)} ${n(h)} re f`);
+    },
+    strokeRect(x, top, w, h, lineWidth = 1, hex = '#000000') {
+      ops.push(`${pdfColor(hex)} RG ${n(lineWidth)} w ${n(x)} ${n(height - top - h)} ${n(w)} ${n(h)} re S`);
+    },
+    line(x1, top1, x2, top2, lineWidth = 1, hex = '#000000') {
+      ops.push(`${pdfColor(hex)} RG ${n(lineWidth)} w ${n(x1)} ${n(height - top1)} m ${n(x2)} ${n(height - top2)} l S`);
+    },
+    // `baseline` is the distance from the top of the page to the text baseline
+    text(x, baseline, str, size, { bold = false, align = 'left', hex = '#000000' } = {}) {
+      const textWidth = approxTextWidth(str, size, bold);
+      const left = align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${n(size)} Tf ${pdfColor(hex)} rg ${n(left)} ${n(height - baseline)} Td ${pdfText(str)} Tj ET`);
+    },
+    image(name, x, top, w, h) {
+      ops.push(`q ${n(w)} 0 0 ${n(h)} ${n(x)} ${n(height - top - h)} cm /${name} Do Q`);
+    }
+  };
+}
+
+// Assemble the file from pages made by createPdfPage. `images` maps XObject
+// names to {width, height, data} with uncompressed RGB bytes; every page can
+// draw any of them.
+function buildPdf(pages, images = {}) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = data => {
+    const bytes = typeof data === 'string' ? Uint8Array.from(data, c => c.charCodeAt(0)) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (id, dictionary, stream = null) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
   
-  let csv = 'row,' + Array.from({ length: cols }, (_, i) => `c${String(i + 1).padStart(2, '0')}`).join(',') + '\n';
+  // 1 catalog, 2 page tree, 3-4 fonts, then images, then a page and its content per page
+  const imageNames = Object.keys(images);
+  const firstPageId = 5 + imageNames.length;
+  const pageIds = pages.map((_, i) => firstPageId + i * 2);
+  const objectCount = firstPageId + pages.length * 2;
+  const xObjects = imageNames.map((name, i) => `/${name} ${5 + i} 0 R`).join(' ');
+  const resources = `<< /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >>`;
   
-  grid.forEach((row, idx) => {
-    csv += `r${String(idx + 1).padStart(2, '0')},${row.join(',')}\n`;
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  writeObject(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  imageNames.forEach((name, i) => {
+    const { width, height, data } = images[name];
+    writeObject(5 + i,
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Length ${data.length} >>`,
+      data);
+  });
+  pages.forEach((page, i) => {
+    const content = Uint8Array.from(page.ops.join('\n'), c => c.charCodeAt(0));
+    writeObject(pageIds[i],
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(page.width)} ${pdfNumber(page.height)}] /Resources ${resources} /Contents ${pageIds[i] + 1} 0 R >>`);
+    writeObject(pageIds[i] + 1, `<< /Length ${content.length} >>`, content);
   });
   
-  return csv;
+  const xrefOffset = length;
+  let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objectCount; id++) {
+    xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  write(xref);
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  
+  const pdf = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return pdf;
 }
 
-function generateLegendCSV() {
-  if (!currentResult) return '';
+// Split a chart into page-sized tiles, left to right then top to bottom.
+// Each tile repeats the last `overlap` rows/columns of the one before it.
+function getChartTiles(rows, cols, pageRows, pageCols, overlap = PDF_PAGE_OVERLAP) {
+  const starts = (total, size) => {
+    const list = [0];
+    while (list[list.length - 1] + size < total) {
+      list.push(list[list.length - 1] + size - overlap);
+    }
+    return list;
+  };
+  
+  const tiles = [];
+  for (const row0 of starts(rows, pageRows)) {
+    for (const col0 of starts(cols, pageCols)) {
+      tiles.push({
+        row0,
+        row1: Math.min(rows, row0 + pageRows),
+        col0,
+        col1: Math.min(cols, col0 + pageCols)
+      });
+    }
+  }
+  return tiles;
+}
+
+// Printable chart: a cover with the preview, a page map, the color legend
+// and the chart split over pages in the current chart style, with row and
+// column numbers and bold lines every 10 stitches.
+// The `readerFriendly` layout is for chart-reading apps such as Pattern
+// Keeper: the legend comes first, then symbol-only chart pages that do not
+// overlap, with no images.
+function buildChartPdf(result = currentResult, { title = 'Untitled', mesh = meshCount, pageSize = 'letter', readerFriendly = false } = {}) {
+  const [pageWidth, pageHeight] = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.letter;
+  const style = readerFriendly ? 'symbols-only' : chartStyle;
+  const overlap = readerFriendly ? 0 : PDF_PAGE_OVERLAP;
+  const { grid, colorMap, colorCounts, threadMap } = result;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const stitchTypes = result.stitchTypes || {};
+  const contentWidth = pageWidth - PDF_MARGIN * 2;
+  const headerHeight = 44;
+  const footerHeight = 16;
+  const bodyTop = PDF_MARGIN + headerHeight;
+  const bodyHeight = pageHeight - PDF_MARGIN * 2 - headerHeight - footerHeight;
+  const gray = { hex: '#666666' };
   
-  const { colorMap, colorCounts } = currentResult;
-  let csv = 'code,hex,pixel_count\n';
+  const pages = [];
+  const newPage = (heading, subheading = '') => {
+    const page = createPdfPage(pageWidth, pageHeight);
+    page.text(PDF_MARGIN, PDF_MARGIN + 16, heading, 16, { bold: true });
+    if (subheading) page.text(PDF_MARGIN, PDF_MARGIN + 32, subheading, 9, gray);
+    pages.push(page);
+    return page;
+  };
   
-  const codes = Object.keys(colorMap).sort((a, b) => {
-    return parseInt(a) - parseInt(b);
-  });
+  // Preview image, one pixel per stitch
+  const images = {};
+  if (!readerFriendly) {
+    const preview = new Uint8Array(rows * cols * 3);
+    const rgbByCode = {};
+    for (const code of Object.keys(colorMap)) {
+      rgbByCode[code] = hexToRgb(colorMap[code]);
+    }
+    grid.forEach((row, rowIdx) => {
+      row.forEach((code, colIdx) => preview.set(rgbByCode[code], (rowIdx * cols + colIdx) * 3));
+    });
+    images.Preview = { width: cols, height: rows, data: preview };
+  }
+  const drawPreview = (page, top, maxHeight) => {
+    const scale = Math.min(contentWidth / cols, maxHeight / rows);
+    const left = PDF_MARGIN + (contentWidth - cols * scale) / 2;
+    page.image('Preview', left, top, cols * scale, rows * scale);
+    page.strokeRect(left, top, cols * scale, rows * scale, 0.5, '#999999');
+    return { left, scale };
+  };
   
+  // Work out the page count up front so pages can refer to each other
+  const gutter = 16;
+  const pageCols = Math.floor((contentWidth - gutter) / PDF_CELL_SIZE);
+  const pageRows = Math.floor((bodyHeight - gutter) / PDF_CELL_SIZE);
+  const tiles = getChartTiles(rows, cols, pageRows, pageCols, overlap);
+  const codes = sortCodes(Object.keys(colorMap));
+  const legendRowHeight = 18;
+  const legendRowsPerPage = Math.floor((bodyHeight - legendRowHeight) / legendRowHeight);
+  const legendPageCount = Math.max(1, Math.ceil(codes.length / legendRowsPerPage));
+  const firstChartPage = (readerFriendly ? 1 : 3) + legendPageCount;
+  
+  if (!readerFriendly) {
+    // Cover
+    const widthInches = Math.round((cols / mesh) * 10) / 10;
+    const heightInches = Math.round((rows / mesh) * 10) / 10;
+    const cover = newPage(title,
+      `${rows} rows × ${cols} columns (${widthInches}" × ${heightInches}" at ${mesh} mesh) • ${result.numColors} colors`);
+    const chartPages = tiles.length > 1 ? `pages ${firstChartPage}-${firstChartPage + tiles.length - 1}` : `page ${firstChartPage}`;
+    cover.text(PDF_MARGIN, bodyTop, `Page map on page 2, legend on page 3, chart on ${chartPages}`, 9, gray);
+    drawPreview(cover, bodyTop + 12, bodyHeight - 12);
+    
+    // Page map: where each chart page sits on the design
+    const map = newPage('Page Map', `Chart pages overlap by ${overlap} rows and columns, shaded in the page margins.`);
+    const { left: mapLeft, scale: mapScale } = drawPreview(map, bodyTop, bodyHeight);
+    tiles.forEach((tile, i) => {
+      const x = mapLeft + tile.col0 * mapScale;
+      const top = bodyTop + tile.row0 * mapScale;
+      const w = (tile.col1 - tile.col0) * mapScale;
+      const h = (tile.row1 - tile.row0) * mapScale;
+      const label = String(firstChartPage + i);
+      const labelSize = Math.min(14, Math.max(7, Math.min(w, h) / 4));
+      const labelWidth = approxTextWidth(label, labelSize, true) + 6;
+      map.strokeRect(x, top, w, h, 1.5, '#000000');
+      map.fillRect(x + w / 2 - labelWidth / 2, top + h / 2 - labelSize * 0.75, labelWidth, labelSize * 1.3, '#FFFFFF');
+      map.text(x + w / 2, top + h / 2 + labelSize * 0.35, label, labelSize, { bold: true, align: 'center' });
+    });
+  }
+  
+  // Legend
+  const legendColumns = { color: 0, symbol: 24, code: 48, thread: 80, hex: 330, stitches: 430, skeins: contentWidth };
+  for (let p = 0; p < legendPageCount; p++) {
+    const page = newPage(legendPageCount > 1 ? `Color Legend (${p + 1} of ${legendPageCount})` : 'Color Legend',
+      `Skeins allow ${yarnSettings.waste}% extra yarn, worked in ${STITCH_METHODS[yarnSettings.method].label.toLowerCase()}.`);
+    const x = column => PDF_MARGIN + legendColumns[column];
+    let top = bodyTop;
+    const headings = { Chart: 'symbol', Code: 'code', Thread: 'thread', Hex: 'hex' };
+    for (const [heading, column] of Object.entries(headings)) {
+      page.text(x(column), top + 10, heading, 8, { bold: true });
+    }
+    page.text(x('stitches'), top + 10, 'Stitches', 8, { bold: true, align: 'right' });
+    page.text(x('skeins'), top + 10, 'Skeins', 8, { bold: true, align: 'right' });
+    page.line(PDF_MARGIN, top + 14, PDF_MARGIN + contentWidth, top + 14, 0.5, '#999999');
+    
+    for (const code of codes.slice(p * legendRowsPerPage, (p + 1) * legendRowsPerPage)) {
+      top += legendRowHeight;
+      const hex = colorMap[code];
+      const thread = threadMap && threadMap[code];
+      const appearance = getCellAppearance(code, style, colorMap);
+      let threadText = thread ? `${formatThreadNumber(thread)} ${thread.name}` : '';
+      if (code === BACKGROUND_CODE) threadText = 'Background';
+      if (approxTextWidth(threadText, 9) > legendColumns.hex - legendColumns.thread - 10) {
+        threadText = threadText.slice(0, Math.floor((legendColumns.hex - legendColumns.thread - 10) / (9 * 0.56)) - 1) + '…';
+      }
+      
+      page.fillRect(x('color'), top - 2, 18, 12, hex);
+      page.strokeRect(x('color'), top - 2, 18, 12, 0.5, '#999999');
+      page.fillRect(x('symbol'), top - 2, 12, 12, appearance.fill);
+      page.strokeRect(x('symbol'), top - 2, 12, 12, 0.5, '#999999');
+      if (appearance.label) {
+        page.text(x('symbol') + 6, top + 7, appearance.label, appearance.label.length > 1 ? 6 : 8,
+          { bold: true, align: 'center', hex: appearance.text });
+      }
+      page.text(x('code'), top + 7, code, 9);
+      page.text(x('thread'), top + 7, threadText, 9);
+      page.text(x('hex'), top + 7, hex, 9);
+      page.text(x('stitches'), top + 7, String(colorCounts[code] || 0), 9, { align: 'right' });
+      page.text(x('skeins'), top + 7, String(estimateYarn(colorCounts[code] || 0, thread, mesh).skeins), 9, { align: 'right' });
+    }
+  }
+  
+  // Chart pages
+  const appearanceByCode = {};
   for (const code of codes) {
-    csv += `${code},${colorMap[code]},${colorCounts[code]}\n`;
+    appearanceByCode[code] = getCellAppearance(code, style, colorMap);
   }
+  const cell = PDF_CELL_SIZE;
+  tiles.forEach((tile, i) => {
+    const page = newPage(`Chart Page ${i + 1} of ${tiles.length}`,
+      `Rows ${tile.row0 + 1}-${tile.row1}, columns ${tile.col0 + 1}-${tile.col1}`);
+    const chartLeft = PDF_MARGIN + gutter;
+    const chartTop = bodyTop + gutter;
+    const chartWidth = (tile.col1 - tile.col0) * cell;
+    const chartHeight = (tile.row1 - tile.row0) * cell;
+    
+    // Shade the numbers of rows and columns repeated from the previous page
+    if (overlap && tile.col0 > 0) page.fillRect(chartLeft, chartTop - gutter, overlap * cell, gutter - 2, '#E0E0E0');
+    if (overlap && tile.row0 > 0) page.fillRect(chartLeft - gutter, chartTop, gutter - 2, overlap * cell, '#E0E0E0');
+    
+    for (let rowIdx = tile.row0; rowIdx < tile.row1; rowIdx++) {
+      for (let colIdx = tile.col0; colIdx < tile.col1; colIdx++) {
+        const code = grid[rowIdx][colIdx];
+        const appearance = appearanceByCode[code];
+        const x = chartLeft + (colIdx - tile.col0) * cell;
+        const top = chartTop + (rowIdx - tile.row0) * cell;
+        
+        if (appearance.fill !== '#FFFFFF') page.fillRect(x, top, cell, cell, appearance.fill);
+        if (code === BACKGROUND_CODE) page.line(x, top + cell, x + cell, top, 0.3, '#999999');
+        
+        const segments = STITCH_TEXTURE_SEGMENTS[stitchTypes[rowIdx * cols + colIdx]];
+        if (segments) {
+          const lineColor = appearance.text === '#000' ? '#777777' : '#CCCCCC';
+          for (const [x1, y1, x2, y2] of segments) {
+            page.line(x + x1 * cell, top + y1 * cell, x + x2 * cell, top + y2 * cell, 0.3, lineColor);
+          }
+        }
+        
+        if (appearance.label) {
+          const size = appearance.label.length > 1 ? cell * 0.5 : cell * 0.7;
+          page.text(x + cell / 2, top + cell / 2 + size * 0.35, appearance.label, size,
+            { bold: true, align: 'center', hex: appearance.text });
+        }
+      }
+    }
+    
+    // Grid lines, bold every 10 stitches and around the edge of the design
+    for (let colIdx = tile.col0; colIdx <= tile.col1; colIdx++) {
+      const x = chartLeft + (colIdx - tile.col0) * cell;
+      const bold = colIdx % 10 === 0 || colIdx === cols;
+      page.line(x, chartTop, x, chartTop + chartHeight, bold ? 0.9 : 0.25, bold ? '#000000' : '#888888');
+    }
+    for (let rowIdx = tile.row0; rowIdx <= tile.row1; rowIdx++) {
+      const top = chartTop + (rowIdx - tile.row0) * cell;
+      const bold = rowIdx % 10 === 0 || rowIdx === rows;
+      page.line(chartLeft, top, chartLeft + chartWidth, top, bold ? 0.9 : 0.25, bold ? '#000000' : '#888888');
+    }
+    
+    // Row and column numbers at every tenth stitch and at the page edges
+    for (let colIdx = tile.col0; colIdx < tile.col1; colIdx++) {
+      if ((colIdx + 1) % 10 === 0 || colIdx === tile.col0 || colIdx === tile.col1 - 1) {
+        const x = chartLeft + (colIdx - tile.col0 + 0.5) * cell;
+        page.text(x, chartTop - 4, String(colIdx + 1), 5.5, { align: 'center' });
+      }
+    }
+    for (let rowIdx = tile.row0; rowIdx < tile.row1; rowIdx++) {
+      if ((rowIdx + 1) % 10 === 0 || rowIdx === tile.row0 || rowIdx === tile.row1 - 1) {
+        const top = chartTop + (rowIdx - tile.row0 + 0.5) * cell;
+        page.text(chartLeft - 3, top + 2, String(rowIdx + 1), 5.5, { align: 'right' });
+      }
+    }
+  });
   
-  return csv;
+  pages.forEach((page, i) => {
+    page.text(pageWidth / 2, pageHeight - PDF_MARGIN / 2, `${title} • page ${i + 1} of ${pages.length}`, 8,
+      { align: 'center', hex: '#888888' });
+  });
+  
+  return buildPdf(pages, images);
 }
 
-function downloadCSV(content, filename) {
-  const blob = new Blob([content], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-}
+// ============================================
+// OXS INTERCHANGE
+// ============================================
 
-function renderGridToCanvas(cellSize) {
-  if (!currentResult) return null;
+// Open Cross Stitch (OXS) is the XML chart format shared by KG-Chart,
+// WinStitch, Pattern Keeper and other charting apps. Palette index 0 is
+// the bare cloth, so background cells are written as unstitched. Stitch
+// types have no OXS equivalent and are left out.
+function generateOXS(result = currentResult, { title = 'Untitled', mesh = meshCount } = {}) {
+  if (!result) return '';
   
-  const { grid, colorMap } = currentResult;
+  const { grid, colorMap, threadMap } = result;
   const rows = grid.length;
   const cols = grid[0].length;
+  const codes = sortCodes(Object.keys(colorMap)).filter(code => code !== BACKGROUND_CODE);
+  const paletteIndex = {};
+  codes.forEach((code, i) => { paletteIndex[code] = i + 1; });
+  const attrs = values => Object.entries(values).map(([key, value]) => `${key}="${escapeXml(value)}"`).join(' ');
+  const clothHex = (colorMap[BACKGROUND_CODE] || '#FFFFFF').slice(1);
   
-  const canvas = document.createElement('canvas');
-  canvas.width = cols * cellSize;
-  canvas.height = rows * cellSize;
-  const ctx = canvas.getContext('2d');
-  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<chart>',
+    '<format comments01="Open Cross Stitch chart: palettecount excludes the cloth color, which is palette item 0" />',
+    `<properties ${attrs({
+      oxsversion: '1.0',
+      software: 'Needlepoint Maker',
+      chartheight: rows,
+      chartwidth: cols,
+      charttitle: title,
+      author: '',
+      copyright: '',
+      instructions: '',
+      stitchesperinch: mesh,
+      stitchesperinch_y: mesh,
+      palettecount: codes.length
+    })} />`,
+    '<palette>',
+    `<palette_item ${attrs({ index: 0, number: 'cloth', name: 'cloth', color: clothHex, printcolor: clothHex, blendcolor: 'nil', comments: 'canvas', strands: 2, symbol: 0, dashpattern: '', bsstrands: 2, bscolor: '000000' })} />`
+  ];
+  codes.forEach(code => {
+    const thread = threadMap && threadMap[code];
+    const hex = colorMap[code].slice(1);
+    const symbol = getCodeSymbol(code);
+    lines.push(`<palette_item ${attrs({
+      index: paletteIndex[code],
+      number: thread ? formatThreadNumber(thread) : `Color ${code}`,
+      name: thread ? thread.name : colorMap[code],
+      color: hex,
+      printcolor: hex,
+      blendcolor: 'nil',
+      comments: '',
+      strands: 2,
+      symbol: symbol.length === 1 ? symbol.charCodeAt(0) : '',
+      dashpattern: '',
+      bsstrands: 2,
+      bscolor: hex
+    })} />`);
+  });
+  lines.push('</palette>', '<fullstitches>');
   grid.forEach((row, rowIdx) => {
     row.forEach((code, colIdx) => {
-      const x = colIdx * cellSize;
-      const y = rowIdx * cellSize;
-      
-      // Fill cell with color
-      ctx.fillStyle = colorMap[code];
-      ctx.fillRect(x, y, cellSize, cellSize);
-      
-      // Draw grid lines
-      if (showGridLines) {
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(x + 0.5, y + 0.5, cellSize - 1, cellSize - 1);
-      }
-      
-      // Draw codes if enabled
-      if (showCodes) {
-        const hex = colorMap[code];
-        const r = parseInt(hex.slice(1, 3), 16);
-        const g = parseInt(hex.slice(3, 5), 16);
-        const b = parseInt(hex.slice(5, 7), 16);
-        const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-        ctx.fillStyle = luminance > 0.5 ? '#000' : '#fff';
-        ctx.font = `bold ${Math.max(6, cellSize * 0.4)}px sans-serif`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(code, x + cellSize / 2, y + cellSize / 2);
+      if (code !== BACKGROUND_CODE) {
+        lines.push(`<stitch x="${colIdx}" y="${rowIdx}" palindex="${paletteIndex[code]}" />`);
       }
     });
   });
+  lines.push(
+    '</fullstitches>',
+    '<partstitches>',
+    '</partstitches>',
+    '<backstitches>',
+    '</backstitches>',
+    '<ornaments_inc_knots_and_beads>',
+    '</ornaments_inc_knots_and_beads>',
+    '<commentboxes>',
+    '</commentboxes>',
+    '</chart>'
+  );
+  return lines.join('\n') + '\n';
+}
+
+// Read an OXS file into a pattern result. Unstitched cells become the
+// background, using the cloth color. Part stitches fill empty cells as full
+// stitches (tent stitch has no halves); backstitches, other extras and
+// stitches in unreadable palette colors are skipped and counted. Thread
+// numbers like "DMC 310" are matched to the catalogs. Throws an Error with
+// a readable message for unusable files.
+function parseOXS(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const chart = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length > 0 || chart.nodeName !== 'chart') {
+    throw new Error('Not an OXS chart file');
+  }
   
-  return canvas;
+  const properties = chart.getElementsByTagName('properties')[0];
+  const prop = name => (properties && properties.getAttribute(name)) || '';
+  const cols = parseInt(prop('chartwidth'), 10);
+  const rows = parseInt(prop('chartheight'), 10);
+  if (!(cols > 0 && rows > 0)) {
+    throw new Error('The OXS file has no chart size');
+  }
+  if (cols > MAX_PATTERN_STITCHES || rows > MAX_PATTERN_STITCHES) {
+    throw new Error(`The OXS chart is ${cols} × ${rows} stitches (max ${MAX_PATTERN_STITCHES} per side)`);
+  }
+  
+  // Colors end up in markup, so only plain RRGGBB values are accepted.
+  // Others fall back to the matched thread's color, or drop the item.
+  const palette = {};
+  for (const item of chart.getElementsByTagName('palette_item')) {
+    const index = item.getAttribute('index');
+    const number = item.getAttribute('number') || '';
+    const color = item.getAttribute('color') || '';
+    let hex = /^[0-9A-F]{6}$/i.test(color) ? '#' + color.toUpperCase() : null;
+    if (!hex && index !== '0') {
+      const entry = number && parseColorEntry(number.replace(/\s+/g, ' '));
+      hex = entry && entry.thread ? entry.hex : null;
+    }
+    if (!hex && index !== '0') continue;
+    palette[index] = { hex: hex || '#FFFFFF', number, name: item.getAttribute('name') || '' };
+  }
+  
+  // Palette index per cell, 0 (cloth) where nothing is stitched
+  const cells = new Array(rows * cols).fill('0');
+  const setCell = (x, y, index, onlyIfEmpty) => {
+    if (!(x >= 0 && x < cols && y >= 0 && y < rows) || !palette[index] || index === '0') return false;
+    if (onlyIfEmpty && cells[y * cols + x] !== '0') return true;
+    cells[y * cols + x] = index;
+    return true;
+  };
+  let skipped = 0;
+  for (const stitch of chart.getElementsByTagName('stitch')) {
+    const x = parseInt(stitch.getAttribute('x'), 10);
+    const y = parseInt(stitch.getAttribute('y'), 10);
+    if (!setCell(x, y, stitch.getAttribute('palindex'), false)) skipped++;
+  }
+  for (const stitch of chart.getElementsByTagName('partstitch')) {
+    const x = parseInt(stitch.getAttribute('x'), 10);
+    const y = parseInt(stitch.getAttribute('y'), 10);
+    const index = stitch.getAttribute('palindex1') !== '0' ? stitch.getAttribute('palindex1') : stitch.getAttribute('palindex2');
+    if (!setCell(x, y, index, true)) skipped++;
+  }
+  skipped += chart.getElementsByTagName('backstitch').length;
+  skipped += chart.getElementsByTagName('object').length;
+  
+  // Number the colors in palette order
+  const used = new Set(cells);
+  const codeByIndex = { 0: BACKGROUND_CODE };
+  const colorMap = {};
+  const threadMap = {};
+  Object.keys(palette)
+    .filter(index => index !== '0' && used.has(index))
+    .sort((a, b) => a - b)
+    .forEach((index, i) => {
+      const code = String(i + 1);
+      codeByIndex[index] = code;
+      colorMap[code] = palette[index].hex;
+      const entry = palette[index].number && parseColorEntry(palette[index].number.replace(/\s+/g, ' '));
+      if (entry && entry.thread) threadMap[code] = entry.thread;
+    });
+  if (used.has('0')) {
+    colorMap[BACKGROUND_CODE] = palette[0] ? palette[0].hex : '#FFFFFF';
+  }
+  
+  const grid = [];
+  const colorCounts = {};
+  for (let y = 0; y < rows; y++) {
+    const row = cells.slice(y * cols, (y + 1) * cols).map(index => codeByIndex[index]);
+    row.forEach(code => { colorCounts[code] = (colorCounts[code] || 0) + 1; });
+    grid.push(row);
+  }
+  
+  const mesh = parseInt(prop('stitchesperinch'), 10);
+  return {
+    result: {
+      grid,
+      colorMap,
+      colorCounts,
+      threadMap,
+      numColors: Object.keys(colorMap).filter(code => code !== BACKGROUND_CODE).length,
+      stash: null,
+      cleanup: null,
+      stitchTypes: {}
+    },
+    title: prop('charttitle'),
+    mesh: mesh > 0 ? mesh : null,
+    skipped
+  };
 }
 
 // ============================================
@@ -489,6 +3741,9 @@ function renderGridToCanvas(cellSize) {
 
 const STORAGE_KEY = 'needlepoint_projects';
 const SIDEBAR_COLLAPSED_KEY = 'needlepoint_sidebar_collapsed';
+const STASH_KEY = 'needlepoint_stash';
+const YARN_SETTINGS_KEY = 'needlepoint_yarn_settings';
+const SHOPPING_SETTINGS_KEY = 'needlepoint_shopping_settings';
 
 function getProjects() {
   try {
@@ -509,6 +3764,67 @@ function saveProjects(projects) {
   }
 }
 
+// Yarn stash: [{hex, thread}] entries the user owns
+function getStash() {
+  try {
+    const data = localStorage.getItem(STASH_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveStash(stash) {
+  try {
+    localStorage.setItem(STASH_KEY, JSON.stringify(stash));
+    return true;
+  } catch (e) {
+    console.error('Failed to save stash:', e);
+    return false;
+  }
+}
+
+// Yarn estimate preferences, shared by all projects
+function getYarnSettings() {
+  try {
+    const data = localStorage.getItem(YARN_SETTINGS_KEY);
+    return { ...DEFAULT_YARN_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+  } catch (e) {
+    return { ...DEFAULT_YARN_SETTINGS };
+  }
+}
+
+function saveYarnSettings(settings) {
+  try {
+    localStorage.setItem(YARN_SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    console.error('Failed to save yarn settings:', e);
+    return false;
+  }
+}
+
+// Canvas margin and prices for the shopping list
+function getShoppingSettings() {
+  try {
+    const data = localStorage.getItem(SHOPPING_SETTINGS_KEY);
+    const settings = { ...DEFAULT_SHOPPING_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+    return { ...settings, skeinPrices: { ...settings.skeinPrices } };
+  } catch (e) {
+    return { ...DEFAULT_SHOPPING_SETTINGS, skeinPrices: {} };
+  }
+}
+
+function saveShoppingSettings(settings) {
+  try {
+    localStorage.setItem(SHOPPING_SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    console.error('Failed to save shopping settings:', e);
+    return false;
+  }
+}
+
 function addProject(project) {
   const projects = getProjects();
   // Add to beginning (newest first)
@@ -603,14 +3919,22 @@ function renderProjectList() {
 }
 
 function loadProject(project) {
+  // A conversion still running would replace the project being opened
+  cancelConversion();
+  
   // Restore the project data
   currentResult = {
     grid: project.grid,
     colorMap: project.colorMap,
     colorCounts: project.colorCounts,
-    numColors: Object.keys(project.colorMap).length
+    threadMap: project.threadMap || {},
+    numColors: Object.keys(project.colorMap).filter(code => code !== BACKGROUND_CODE).length,
+    stash: project.stash || null,
+    cleanup: project.cleanup || null,
+    stitchTypes: project.stitchTypes || {}
   };
   selectedLegendCode = null;
+  mergeSelection = new Set();
   completedCells = new Set(project.completedCells || []);
   actionHistory = [];
   
@@ -623,13 +3947,7 @@ function loadProject(project) {
   }
   
   // Update UI with pattern info
-  const height = project.grid.length;
-  const width = project.grid[0].length;
-  const projectMesh = project.meshCount || 18;
-  const widthInches = Math.round((width / projectMesh) * 10) / 10;
-  const heightInches = Math.round((height / projectMesh) * 10) / 10;
-  document.getElementById('patternInfo').textContent = 
-    `${height} rows × ${width} columns (${widthInches}" × ${heightInches}" at ${projectMesh} mesh) • ${currentResult.numColors} colors`;
+  renderPatternInfo(project.meshCount || 18);
   
   // Hide upload section, show result sections
   document.querySelector('.upload-section').classList.add('hidden');
@@ -661,10 +3979,24 @@ function loadProject(project) {
 document.addEventListener('DOMContentLoaded', () => {
   const imageInput = document.getElementById('imageInput');
   const convertBtn = document.getElementById('convertBtn');
+  const convertProgress = document.getElementById('convertProgress');
+  const convertProgressFill = document.getElementById('convertProgressFill');
+  const convertProgressLabel = document.getElementById('convertProgressLabel');
+  const cancelConvertBtn = document.getElementById('cancelConvertBtn');
   const cellSizeInput = document.getElementById('cellSize');
   const cellSizeVal = document.getElementById('cellSizeVal');
   const toggleCodesBtn = document.getElementById('toggleCodes');
   const toggleGridBtn = document.getElementById('toggleGrid');
+  const chartStyleSelect = document.getElementById('chartStyle');
+  const borderBtn = document.getElementById('borderBtn');
+  const borderToolbar = document.getElementById('borderToolbar');
+  const borderWidthInput = document.getElementById('borderWidth');
+  const borderStyleSelect = document.getElementById('borderStyle');
+  const borderColorSelect = document.getElementById('borderColor');
+  const borderAccentSelect = document.getElementById('borderAccent');
+  const fillBackgroundToggle = document.getElementById('fillBackground');
+  const applyBorderBtn = document.getElementById('applyBorderBtn');
+  const cancelBorderBtn = document.getElementById('cancelBorderBtn');
   const downloadGridBtn = document.getElementById('downloadGrid');
   const downloadLegendBtn = document.getElementById('downloadLegend');
   const downloadPngBtn = document.getElementById('downloadPng');
@@ -680,8 +4012,37 @@ document.addEventListener('DOMContentLoaded', () => {
   const paintControls = document.getElementById('paintControls');
   const paintColorLabel = document.getElementById('paintColorLabel');
   const paintSwatch = document.getElementById('paintSwatch');
+  const textModeBtn = document.getElementById('textModeBtn');
+  const stitchModeBtn = document.getElementById('stitchModeBtn');
+  const stitchTypeSelect = document.getElementById('stitchTypeSelect');
+  const textToolPanel = document.getElementById('textToolPanel');
+  const textToolInput = document.getElementById('textToolInput');
+  const textFontSelect = document.getElementById('textFontSelect');
+  const textSizeSelect = document.getElementById('textSizeSelect');
+  const textBoldToggle = document.getElementById('textBoldToggle');
+  const textToolHint = document.getElementById('textToolHint');
+  const applyTextBtn = document.getElementById('applyTextBtn');
+  const clearTextBtn = document.getElementById('clearTextBtn');
+  const mergeBtn = document.getElementById('mergeBtn');
+  const cancelMergeBtn = document.getElementById('cancelMergeBtn');
+  const mergeTargetSelect = document.getElementById('mergeTarget');
+  const stitchMethodSelect = document.getElementById('stitchMethod');
+  const yarnWasteInput = document.getElementById('yarnWaste');
+  const skeinYardsInput = document.getElementById('skeinYards');
+  const shoppingListEl = document.getElementById('shoppingList');
+  const downloadShoppingListBtn = document.getElementById('downloadShoppingList');
+  const downloadStitchMapBtn = document.getElementById('downloadStitchMap');
+  const printShoppingListBtn = document.getElementById('printShoppingList');
+  const downloadPdfBtn = document.getElementById('downloadPdf');
+  const downloadSvgBtn = document.getElementById('downloadSvg');
+  const downloadReaderPdfBtn = document.getElementById('downloadReaderPdf');
+  const downloadOxsBtn = document.getElementById('downloadOxs');
+  const importOxsBtn = document.getElementById('importOxsBtn');
+  const oxsInput = document.getElementById('oxsInput');
+  const svgIncludeLegendCheckbox = document.getElementById('svgIncludeLegend');
   
   let loadedImage = null;
+  let sourceImage = null; // loadedImage after cropping, rotating and flipping
   let currentFileName = 'Untitled';
   
   const heightInput = document.getElementById('heightInput');
@@ -692,9 +4053,42 @@ document.addEventListener('DOMContentLoaded', () => {
   const colorsInput = document.getElementById('colorsInput');
   const editProjectBtn = document.getElementById('editProjectBtn');
   
-  // Mesh and unit elements
+  // Mesh, unit and brand elements
   const meshBtns = document.querySelectorAll('.mesh-btn');
   const unitBtns = document.querySelectorAll('.unit-btn');
+  const brandBtns = document.querySelectorAll('.brand-btn');
+  const colorSpaceBtns = document.querySelectorAll('.color-space-btn');
+  const quantizerBtns = document.querySelectorAll('.quantizer-btn');
+  const resampleBtns = document.querySelectorAll('.resample-btn');
+  const ditherBtns = document.querySelectorAll('.dither-btn');
+  const paletteSourceBtns = document.querySelectorAll('.palette-source-btn');
+  const backgroundBtns = document.querySelectorAll('.background-btn');
+  const backgroundColorInput = document.getElementById('backgroundColorInput');
+  const confettiThresholdInput = document.getElementById('confettiThreshold');
+  const confettiThresholdVal = document.getElementById('confettiThresholdVal');
+  
+  // Dithering elements
+  const ditherStrengthRow = document.getElementById('ditherStrengthRow');
+  const ditherStrengthInput = document.getElementById('ditherStrength');
+  const ditherStrengthVal = document.getElementById('ditherStrengthVal');
+  const ditherPreviewBtn = document.getElementById('ditherPreviewBtn');
+  const ditherPreview = document.getElementById('ditherPreview');
+  const ditherPreviewCanvas = document.getElementById('ditherPreviewCanvas');
+  const ditherPreviewStats = document.getElementById('ditherPreviewStats');
+  
+  // Locked color elements
+  const lockedColorInput = document.getElementById('lockedColorInput');
+  const addLockedColorBtn = document.getElementById('addLockedColorBtn');
+  const eyedropperBtn = document.getElementById('eyedropperBtn');
+  const lockedColorsList = document.getElementById('lockedColorsList');
+  
+  // Yarn stash elements
+  const stashManager = document.getElementById('stashManager');
+  const stashSummary = document.getElementById('stashSummary');
+  const stashInput = document.getElementById('stashInput');
+  const addStashBtn = document.getElementById('addStashBtn');
+  const clearStashBtn = document.getElementById('clearStashBtn');
+  const stashList = document.getElementById('stashList');
   
   // File upload elements
   const fileDropzone = document.getElementById('fileDropzone');
@@ -750,14 +4144,64 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  // Image adjustment elements
+  const adjustInputs = document.querySelectorAll('.adjust-input');
+  const resetAdjustmentsBtn = document.getElementById('resetAdjustmentsBtn');
+  const adjustPreviewCanvas = document.getElementById('adjustPreviewCanvas');
+  
+  // Image prep elements
+  const cropCanvas = document.getElementById('cropCanvas');
+  const cropBox = document.getElementById('cropBox');
+  const rotateLeftBtn = document.getElementById('rotateLeftBtn');
+  const rotateRightBtn = document.getElementById('rotateRightBtn');
+  const flipHBtn = document.getElementById('flipHBtn');
+  const flipVBtn = document.getElementById('flipVBtn');
+  const cropAspectSelect = document.getElementById('cropAspectSelect');
+  const resetCropBtn = document.getElementById('resetCropBtn');
+  
   // Step group elements
+  const imagePrepStep = document.getElementById('imagePrepStep');
   const presetsStep = document.getElementById('presetsStep');
   const meshStep = document.getElementById('meshStep');
   const dimensionsStep = document.getElementById('dimensionsStep');
+  const resampleStep = document.getElementById('resampleStep');
+  const adjustStep = document.getElementById('adjustStep');
   const colorsStep = document.getElementById('colorsStep');
+  const lockedStep = document.getElementById('lockedStep');
+  const quantizerStep = document.getElementById('quantizerStep');
+  const ditherStep = document.getElementById('ditherStep');
+  const cleanupStep = document.getElementById('cleanupStep');
+  const stashStep = document.getElementById('stashStep');
+  const brandStep = document.getElementById('brandStep');
+  const backgroundStep = document.getElementById('backgroundStep');
   const convertStep = document.getElementById('convertStep');
   const presetBtns = document.querySelectorAll('.preset-btn');
   
+  // Settings steps in the order they are revealed
+  const settingsSteps = [
+    imagePrepStep,
+    presetsStep,
+    meshStep,
+    dimensionsStep,
+    resampleStep,
+    adjustStep,
+    colorsStep,
+    lockedStep,
+    quantizerStep,
+    ditherStep,
+    cleanupStep,
+    stashStep,
+    brandStep,
+    backgroundStep,
+    convertStep
+  ];
+  
+  function hideSettingsSteps() {
+    settingsSteps.forEach(step => step.classList.remove('visible'));
+    ditherPreview.classList.remove('visible');
+    setEyedropperActive(false);
+  }
+  
   // Select a preset and update dimensions
   function selectPreset(btn) {
     // Update active state
@@ -789,18 +4233,172 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
-  // Mark custom preset as active when user edits dimensions
-  function markCustomPreset() {
-    presetBtns.forEach(b => b.classList.remove('active'));
-    const customBtn = document.querySelector('.preset-btn[data-preset="custom"]');
-    if (customBtn) customBtn.classList.add('active');
-  }
+  // Mark custom preset as active when user edits dimensions
+  function markCustomPreset() {
+    presetBtns.forEach(b => b.classList.remove('active'));
+    const customBtn = document.querySelector('.preset-btn[data-preset="custom"]');
+    if (customBtn) customBtn.classList.add('active');
+  }
+  
+  // Preset button click handlers
+  presetBtns.forEach(btn => {
+    btn.addEventListener('click', () => selectPreset(btn));
+  });
+  
+  // Crop shape choices, from the size presets
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  cropAspectSelect.innerHTML = '<option value="">Free</option>' + SIZE_PRESETS.map(preset => {
+    const divisor = gcd(preset.width, preset.height);
+    return `<option value="${preset.name}">${preset.name} (${preset.width / divisor}:${preset.height / divisor})</option>`;
+  }).join('');
+  
+  // Width/height ratio of the crop in fractions of the oriented image, or
+  // null when the crop is free
+  function getCropRatio() {
+    const preset = SIZE_PRESETS.find(p => p.name === imagePrep.cropAspect);
+    if (!preset || !loadedImage) return null;
+    const { width, height } = getOrientedSize(loadedImage, imagePrep);
+    return (preset.width / preset.height) * (height / width);
+  }
+  
+  function updateImagePrepControls() {
+    flipHBtn.classList.toggle('active', imagePrep.flipH);
+    flipVBtn.classList.toggle('active', imagePrep.flipV);
+    cropAspectSelect.value = imagePrep.cropAspect || '';
+  }
+  
+  // Draw the whole rotated/flipped image into the crop editor
+  function renderCropCanvas() {
+    const maxSize = 320;
+    const { width, height } = getOrientedSize(loadedImage, imagePrep);
+    const scale = Math.min(maxSize / width, maxSize / height, 1);
+    const full = prepareSourceImage(loadedImage, { ...imagePrep, crop: defaultImagePrep().crop }, scale);
+    cropCanvas.width = full.width;
+    cropCanvas.height = full.height;
+    cropCanvas.getContext('2d').drawImage(full, 0, 0);
+  }
+  
+  function positionCropBox() {
+    const { x, y, width, height } = imagePrep.crop;
+    cropBox.style.left = `${x * 100}%`;
+    cropBox.style.top = `${y * 100}%`;
+    cropBox.style.width = `${width * 100}%`;
+    cropBox.style.height = `${height * 100}%`;
+  }
+  
+  // Rebuild the image that gets converted, and the previews of it
+  function refreshSourceImage() {
+    sourceImage = prepareSourceImage(loadedImage, imagePrep);
+    imageAspectRatio = sourceImage.width / sourceImage.height;
+    
+    const previewSize = 200;
+    const previewScale = Math.min(previewSize / sourceImage.width, previewSize / sourceImage.height, 1);
+    const preview = document.createElement('canvas');
+    preview.width = Math.max(1, Math.round(sourceImage.width * previewScale));
+    preview.height = Math.max(1, Math.round(sourceImage.height * previewScale));
+    preview.getContext('2d').drawImage(sourceImage, 0, 0, preview.width, preview.height);
+    previewImg.src = preview.toDataURL();
+    
+    renderCropCanvas();
+    positionCropBox();
+    updateImagePrepControls();
+    adjustPreviewBase = null;
+    renderAdjustmentPreview();
+  }
+  
+  // After the user changes the prep: refresh, then refit the dimensions to
+  // the new shape (picking the crop's size preset if it has one)
+  function applyImagePrep() {
+    refreshSourceImage();
+    updatePresetAvailability();
+    const presetBtn = [...presetBtns].find(btn => btn.dataset.name === imagePrep.cropAspect);
+    if (presetBtn && !presetBtn.disabled) {
+      selectPreset(presetBtn);
+    } else if (aspectLinked) {
+      lastEditedDimension = 'width';
+      recalculateDimensions();
+    }
+    refitPixelArt();
+  }
+  
+  function rotateImage(clockwise) {
+    if (!loadedImage) return;
+    // With one flip applied, turning the underlying image clockwise turns
+    // what's shown counter-clockwise
+    const singleFlip = imagePrep.flipH !== imagePrep.flipV;
+    imagePrep.rotation = (imagePrep.rotation + (clockwise !== singleFlip ? 90 : 270)) % 360;
+    imagePrep.crop = rotateCrop(imagePrep.crop, clockwise);
+    
+    // The preset shape doesn't turn with the image, so refit it
+    const ratio = getCropRatio();
+    if (ratio) imagePrep.crop = constrainCrop(defaultImagePrep().crop, ratio);
+    applyImagePrep();
+  }
+  
+  function flipImage(horizontal) {
+    if (!loadedImage) return;
+    if (horizontal) {
+      imagePrep.flipH = !imagePrep.flipH;
+    } else {
+      imagePrep.flipV = !imagePrep.flipV;
+    }
+    imagePrep.crop = flipCrop(imagePrep.crop, horizontal);
+    applyImagePrep();
+  }
+  
+  rotateLeftBtn.addEventListener('click', () => rotateImage(false));
+  rotateRightBtn.addEventListener('click', () => rotateImage(true));
+  flipHBtn.addEventListener('click', () => flipImage(true));
+  flipVBtn.addEventListener('click', () => flipImage(false));
   
-  // Preset button click handlers
-  presetBtns.forEach(btn => {
-    btn.addEventListener('click', () => selectPreset(btn));
+  cropAspectSelect.addEventListener('change', () => {
+    if (!loadedImage) return;
+    imagePrep.cropAspect = cropAspectSelect.value || null;
+    const ratio = getCropRatio();
+    if (ratio) imagePrep.crop = constrainCrop(defaultImagePrep().crop, ratio);
+    applyImagePrep();
+  });
+  
+  resetCropBtn.addEventListener('click', () => {
+    if (!loadedImage) return;
+    imagePrep = defaultImagePrep();
+    applyImagePrep();
+  });
+  
+  // Drag the crop box to move it, or a corner handle to resize it. Only the
+  // box moves while dragging; the image is rebuilt on release.
+  let cropDrag = null;
+  
+  cropBox.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    cropBox.setPointerCapture(e.pointerId);
+    cropDrag = {
+      handle: e.target.dataset.handle || null,
+      startX: e.clientX,
+      startY: e.clientY,
+      startCrop: { ...imagePrep.crop }
+    };
+  });
+  
+  cropBox.addEventListener('pointermove', (e) => {
+    if (!cropDrag) return;
+    const rect = cropCanvas.getBoundingClientRect();
+    const dx = (e.clientX - cropDrag.startX) / rect.width;
+    const dy = (e.clientY - cropDrag.startY) / rect.height;
+    imagePrep.crop = cropDrag.handle
+      ? resizeCrop(cropDrag.startCrop, cropDrag.handle, dx, dy, getCropRatio())
+      : moveCrop(cropDrag.startCrop, dx, dy);
+    positionCropBox();
   });
   
+  const endCropDrag = () => {
+    if (!cropDrag) return;
+    cropDrag = null;
+    applyImagePrep();
+  };
+  cropBox.addEventListener('pointerup', endCropDrag);
+  cropBox.addEventListener('pointercancel', endCropDrag);
+  
   // Helper to clamp value between min and max
   function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
@@ -815,7 +4413,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Set min/max based on unit mode
     const minVal = unitMode === 'inches' ? 1 : 10;
-    const maxVal = unitMode === 'inches' ? 20 : 360;
+    const maxVal = unitMode === 'inches' ? 20 : MAX_PATTERN_STITCHES;
     
     if (lastEditedDimension === 'height') {
       // Height is the driver, calculate width
@@ -1026,11 +4624,380 @@ document.addEventListener('DOMContentLoaded', () => {
       heightInput.step = '1';
       widthInput.min = '10';
       heightInput.min = '10';
-      widthInput.max = '360';
-      heightInput.max = '360';
+      widthInput.max = String(MAX_PATTERN_STITCHES);
+      heightInput.max = String(MAX_PATTERN_STITCHES);
+    }
+  }
+  
+  // Highlight the button for the current thread brand
+  function updateBrandButtons() {
+    brandBtns.forEach(b => {
+      b.classList.toggle('active', (b.dataset.brand || null) === threadBrand);
+      // Stash colors are already real threads
+      b.disabled = paletteSource === 'stash';
+    });
+  }
+  
+  // Brand button handlers
+  brandBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      threadBrand = btn.dataset.brand || null;
+      updateBrandButtons();
+    });
+  });
+  
+  function updateAdjustmentControls() {
+    adjustInputs.forEach(input => {
+      const key = input.dataset.adjust;
+      const value = imageAdjustments[key];
+      input.value = value;
+      const label = document.querySelector(`[data-adjust-value="${key}"]`);
+      if (key === 'sharpen') {
+        label.textContent = value === 0 ? 'Off' : `${value}%`;
+      } else {
+        label.textContent = value > 0 ? `+${value}` : String(value);
+      }
+    });
+  }
+  
+  // Unadjusted preview pixels, rebuilt when the source image changes
+  let adjustPreviewBase = null;
+  
+  function renderAdjustmentPreview() {
+    if (!sourceImage) return;
+    if (!adjustPreviewBase) {
+      const maxSize = 360;
+      const scale = Math.min(maxSize / sourceImage.width, maxSize / sourceImage.height, 1);
+      adjustPreviewCanvas.width = Math.max(1, Math.round(sourceImage.width * scale));
+      adjustPreviewCanvas.height = Math.max(1, Math.round(sourceImage.height * scale));
+      const ctx = adjustPreviewCanvas.getContext('2d');
+      ctx.drawImage(sourceImage, 0, 0, adjustPreviewCanvas.width, adjustPreviewCanvas.height);
+      adjustPreviewBase = ctx.getImageData(0, 0, adjustPreviewCanvas.width, adjustPreviewCanvas.height);
+    }
+    
+    const { width, height } = adjustPreviewBase;
+    const adjusted = adjustImagePixels(adjustPreviewBase.data, width, height, imageAdjustments);
+    adjustPreviewCanvas.getContext('2d').putImageData(new ImageData(adjusted, width, height), 0, 0);
+  }
+  
+  adjustInputs.forEach(input => {
+    input.addEventListener('input', () => {
+      imageAdjustments[input.dataset.adjust] = parseInt(input.value);
+      updateAdjustmentControls();
+      renderAdjustmentPreview();
+    });
+  });
+  
+  resetAdjustmentsBtn.addEventListener('click', () => {
+    imageAdjustments = { ...DEFAULT_ADJUSTMENTS };
+    updateAdjustmentControls();
+    renderAdjustmentPreview();
+  });
+  
+  function updateConfettiControls() {
+    confettiThresholdInput.value = confettiThreshold;
+    if (confettiThreshold === 0) {
+      confettiThresholdVal.textContent = 'Off';
+    } else {
+      confettiThresholdVal.textContent = confettiThreshold === 1 ? '1 stitch' : `${confettiThreshold} stitches`;
+    }
+  }
+  
+  confettiThresholdInput.addEventListener('input', () => {
+    confettiThreshold = parseInt(confettiThresholdInput.value);
+    updateConfettiControls();
+  });
+  
+  function updateBackgroundControls() {
+    backgroundBtns.forEach(b => {
+      b.classList.toggle('active', b.dataset.background === backgroundMode);
+    });
+    backgroundColorInput.value = backgroundColor.toLowerCase();
+  }
+  
+  // Background handlers
+  backgroundBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      backgroundMode = btn.dataset.background;
+      updateBackgroundControls();
+    });
+  });
+  
+  backgroundColorInput.addEventListener('input', () => {
+    backgroundColor = backgroundColorInput.value.toUpperCase();
+  });
+  
+  function renderStash() {
+    const stash = getStash();
+    stashSummary.textContent = stash.length === 1 ? '1 thread in stash' : `${stash.length} threads in stash`;
+    renderColorChips(stashList, stash, index => {
+      stash.splice(index, 1);
+      saveStash(stash);
+      renderStash();
+    });
+  }
+  
+  function updatePaletteSourceControls() {
+    paletteSourceBtns.forEach(b => {
+      b.classList.toggle('active', b.dataset.source === paletteSource);
+    });
+    stashManager.classList.toggle('visible', paletteSource === 'stash');
+    updateBrandButtons();
+  }
+  
+  // Palette source handlers
+  paletteSourceBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      paletteSource = btn.dataset.source;
+      updatePaletteSourceControls();
+    });
+  });
+  
+  // Add one or more comma-separated threads or hex values to the stash
+  addStashBtn.addEventListener('click', () => {
+    const stash = getStash();
+    const unknown = [];
+    stashInput.value.split(',').map(text => text.trim()).filter(Boolean).forEach(text => {
+      const entry = parseColorEntry(text, threadBrand);
+      if (!entry) {
+        unknown.push(text);
+      } else if (!stash.some(existing => existing.hex === entry.hex)) {
+        stash.push(entry);
+      }
+    });
+    saveStash(stash);
+    renderStash();
+    
+    stashInput.value = unknown.join(', ');
+    if (unknown.length > 0) {
+      showStatus('Unknown colors: ' + unknown.join(', '), 'error');
+      setTimeout(hideStatus, 3000);
+    }
+  });
+  
+  stashInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addStashBtn.click();
+    }
+  });
+  
+  clearStashBtn.addEventListener('click', () => {
+    if (getStash().length === 0) return;
+    if (!confirm('Remove all threads from your stash?')) return;
+    saveStash([]);
+    renderStash();
+  });
+  
+  renderStash();
+  
+  // Highlight the button for the current color space
+  function updateColorSpaceButtons() {
+    colorSpaceBtns.forEach(b => {
+      b.classList.toggle('active', b.dataset.colorSpace === colorSpace);
+    });
+  }
+  
+  // Color space button handlers
+  colorSpaceBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      colorSpace = btn.dataset.colorSpace;
+      updateColorSpaceButtons();
+    });
+  });
+  
+  // Highlight the button for the current quantizer
+  function updateQuantizerButtons() {
+    quantizerBtns.forEach(b => {
+      b.classList.toggle('active', b.dataset.quantizer === quantizer);
+    });
+  }
+  
+  // Quantizer button handlers
+  quantizerBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      quantizer = btn.dataset.quantizer;
+      updateQuantizerButtons();
+    });
+  });
+  
+  function updateResampleButtons() {
+    resampleBtns.forEach(b => {
+      b.classList.toggle('active', b.dataset.resample === resampleMode);
+    });
+  }
+  
+  // Size the pattern to the image's own pixel grid, one stitch per pixel.
+  // Returns false (with a message) if the image is too big to be pixel art,
+  // or has no blocks and more colors than a palette can hold (a photo).
+  function applyPixelArtImport() {
+    if (!sourceImage) return false;
+    const { data } = sourceImage.getContext('2d').getImageData(0, 0, sourceImage.width, sourceImage.height);
+    const { blockWidth, blockHeight, columns, rows, colorCount } = detectPixelGrid(data, sourceImage.width, sourceImage.height);
+    if (columns > MAX_PATTERN_STITCHES || rows > MAX_PATTERN_STITCHES) {
+      showStatus(`No pixel grid found: this image would be ${columns} × ${rows} stitches (max ${MAX_PATTERN_STITCHES})`, 'error');
+      setTimeout(hideStatus, 3000);
+      return false;
+    }
+    const maxColors = parseInt(colorsInput.max);
+    if (blockWidth === 1 && blockHeight === 1 && colorCount > maxColors) {
+      showStatus(`No pixel grid found: this image has ${colorCount} colors (pixel art needs ${maxColors} or fewer)`, 'error');
+      setTimeout(hideStatus, 3000);
+      return false;
+    }
+    
+    unitMode = 'stitches';
+    unitBtns.forEach(b => b.classList.toggle('active', b.dataset.unit === unitMode));
+    updateDimensionLabels();
+    widthInput.value = columns;
+    heightInput.value = rows;
+    widthInput.classList.remove('auto-calculated');
+    heightInput.classList.remove('auto-calculated');
+    markCustomPreset();
+    
+    // Room for every color, so none have to be merged
+    colorsInput.value = clamp(colorCount, parseInt(colorsInput.min), parseInt(colorsInput.max));
+    
+    const blocks = blockWidth === 1 && blockHeight === 1 ? '' : ` of ${blockWidth} × ${blockHeight}px blocks`;
+    showStatus(`Pixel grid: ${columns} × ${rows} stitches${blocks}, ${colorCount} colors`, 'success');
+    setTimeout(hideStatus, 3000);
+    return true;
+  }
+  
+  // Re-detect the grid after the image changes; drop back to smooth
+  // resampling if the new image isn't pixel art
+  function refitPixelArt() {
+    if (resampleMode !== 'pixel-art' || applyPixelArtImport()) return;
+    resampleMode = 'smooth';
+    updateResampleButtons();
+  }
+  
+  // Resample button handlers
+  resampleBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.resample === 'pixel-art' && !applyPixelArtImport()) return;
+      resampleMode = btn.dataset.resample;
+      updateResampleButtons();
+    });
+  });
+  
+  // Sync dithering buttons and strength slider with the current settings
+  function updateDitherControls() {
+    ditherBtns.forEach(b => {
+      b.classList.toggle('active', b.dataset.dither === ditherMode);
+    });
+    ditherStrengthRow.classList.toggle('visible', ditherMode !== 'none');
+    ditherStrengthInput.value = ditherStrength;
+    ditherStrengthVal.textContent = ditherStrength + '%';
+  }
+  
+  // Dithering handlers
+  ditherBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      ditherMode = btn.dataset.dither;
+      updateDitherControls();
+    });
+  });
+  
+  ditherStrengthInput.addEventListener('input', () => {
+    ditherStrength = parseInt(ditherStrengthInput.value);
+    ditherStrengthVal.textContent = ditherStrength + '%';
+  });
+  
+  // Render {hex, thread} entries as removable chips
+  function renderColorChips(listEl, entries, onRemove) {
+    listEl.innerHTML = '';
+    entries.forEach((entry, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'locked-color-chip';
+      chip.title = entry.thread ? entry.thread.name : entry.hex;
+      const label = entry.thread ? formatThreadNumber(entry.thread) : entry.hex;
+      chip.innerHTML = `<span class="swatch" style="background:${entry.hex}"></span>${label}`;
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.title = 'Remove';
+      removeBtn.textContent = '\u00D7';
+      removeBtn.addEventListener('click', () => onRemove(index));
+      chip.appendChild(removeBtn);
+      listEl.appendChild(chip);
+    });
+  }
+  
+  function renderLockedColors() {
+    renderColorChips(lockedColorsList, lockedColors, index => {
+      lockedColors.splice(index, 1);
+      renderLockedColors();
+    });
+  }
+  
+  function addLockedColor(entry) {
+    if (lockedColors.some(locked => locked.hex === entry.hex)) return;
+    if (lockedColors.length >= (parseInt(colorsInput.value) || 20)) {
+      showStatus('Cannot lock more colors than Max Colors', 'error');
+      setTimeout(hideStatus, 3000);
+      return;
     }
+    lockedColors.push(entry);
+    renderLockedColors();
+  }
+  
+  function setEyedropperActive(active) {
+    eyedropperBtn.classList.toggle('active', active);
+    imagePreview.classList.toggle('picking', active);
   }
   
+  addLockedColorBtn.addEventListener('click', () => {
+    if (!lockedColorInput.value.trim()) return;
+    const entry = parseColorEntry(lockedColorInput.value, threadBrand);
+    if (!entry) {
+      showStatus('Unknown color: enter a hex value or a thread number like DMC 321', 'error');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    addLockedColor(entry);
+    lockedColorInput.value = '';
+  });
+  
+  lockedColorInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addLockedColorBtn.click();
+    }
+  });
+  
+  eyedropperBtn.addEventListener('click', () => {
+    setEyedropperActive(!imagePreview.classList.contains('picking'));
+  });
+  
+  // Eyedropper: sample the original image under the click
+  previewImg.addEventListener('click', (e) => {
+    if (!imagePreview.classList.contains('picking') || !sourceImage) return;
+    
+    // Map the click through the object-fit: contain letterboxing
+    const rect = previewImg.getBoundingClientRect();
+    const scale = Math.min(rect.width / sourceImage.width, rect.height / sourceImage.height);
+    const offsetX = (rect.width - sourceImage.width * scale) / 2;
+    const offsetY = (rect.height - sourceImage.height * scale) / 2;
+    const x = Math.floor((e.clientX - rect.left - offsetX) / scale);
+    const y = Math.floor((e.clientY - rect.top - offsetY) / scale);
+    if (x < 0 || y < 0 || x >= sourceImage.width || y >= sourceImage.height) return;
+    
+    if (!sourceImage.sampleCanvas) {
+      const sampleCanvas = document.createElement('canvas');
+      sampleCanvas.width = sourceImage.width;
+      sampleCanvas.height = sourceImage.height;
+      const sampleCtx = sampleCanvas.getContext('2d');
+      sampleCtx.fillStyle = '#FFFFFF';
+      sampleCtx.fillRect(0, 0, sampleCanvas.width, sampleCanvas.height);
+      sampleCtx.drawImage(sourceImage, 0, 0);
+      sourceImage.sampleCanvas = sampleCanvas;
+    }
+    const [r, g, b] = sourceImage.sampleCanvas.getContext('2d').getImageData(x, y, 1, 1).data;
+    addLockedColor({ hex: rgbToHex(r, g, b), thread: null });
+    setEyedropperActive(false);
+  });
+  
   // Unit toggle handlers
   unitBtns.forEach(btn => {
     btn.addEventListener('click', () => {
@@ -1060,25 +5027,29 @@ document.addEventListener('DOMContentLoaded', () => {
   
   newProjectBtn.addEventListener('click', () => {
     // Reset everything for a new project
+    cancelConversion();
     imageInput.value = '';
     loadedImage = null;
+    sourceImage = null;
+    imagePrep = defaultImagePrep();
     currentFileName = 'Untitled';
     currentResult = null;
     currentProjectId = null;
     selectedLegendCode = null;
+    mergeSelection = new Set();
     completedCells = new Set();
     actionHistory = [];
-    interactionMode = 'progress';
+    setInteractionMode('progress');
     paintColorCode = '1';
     convertBtn.disabled = true;
     imageAspectRatio = null;
+    lockedColors = [];
+    renderLockedColors();
+    imageAdjustments = { ...DEFAULT_ADJUSTMENTS };
+    updateAdjustmentControls();
     
     // Hide all step groups
-    presetsStep.classList.remove('visible');
-    meshStep.classList.remove('visible');
-    dimensionsStep.classList.remove('visible');
-    colorsStep.classList.remove('visible');
-    convertStep.classList.remove('visible');
+    hideSettingsSteps();
     
     // Clear preset selection and reset disabled states
     presetBtns.forEach(b => {
@@ -1162,19 +5133,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Hide step groups (will be revealed after image loads)
-    presetsStep.classList.remove('visible');
-    meshStep.classList.remove('visible');
-    dimensionsStep.classList.remove('visible');
-    colorsStep.classList.remove('visible');
-    convertStep.classList.remove('visible');
+    hideSettingsSteps();
     presetBtns.forEach(b => b.classList.remove('active'));
     convertBtn.disabled = true;
     currentProjectId = null;
     selectedLegendCode = null;
+    mergeSelection = new Set();
     completedCells = new Set();
     actionHistory = [];
-    interactionMode = 'progress';
+    setInteractionMode('progress');
     paintColorCode = '1';
+    lockedColors = [];
+    renderLockedColors();
+    imageAdjustments = { ...DEFAULT_ADJUSTMENTS };
+    updateAdjustmentControls();
     
     // Reset UI - hide results until convert is clicked
     document.getElementById('controls').classList.remove('visible');
@@ -1197,8 +5169,9 @@ document.addEventListener('DOMContentLoaded', () => {
         loadedImage = img;
         loadedImage.dataUrl = event.target.result; // Store for saving
         
-        // Calculate and store aspect ratio (width / height)
-        imageAspectRatio = img.width / img.height;
+        // Start uncropped; this also sets the aspect ratio and preview
+        imagePrep = defaultImagePrep();
+        refreshSourceImage();
         
         // Update preset availability based on image aspect ratio
         const bestMatchingPreset = updatePresetAvailability();
@@ -1229,19 +5202,20 @@ document.addEventListener('DOMContentLoaded', () => {
         // Estimate color complexity and set default
         const suggestedColors = estimateColorComplexity(img);
         colorsInput.value = suggestedColors;
+        refitPixelArt();
         
         // Switch from dropzone to selected state
         fileDropzone.classList.add('hidden');
-        previewImg.src = event.target.result;
         selectedFilename.textContent = currentFileName;
         imageSelectedRow.classList.add('visible');
         
         // Reveal steps sequentially with delays
         setTimeout(() => {
+          imagePrepStep.classList.add('visible');
           presetsStep.classList.add('visible');
           // Auto-select best matching preset or custom
           presetBtns.forEach(b => b.classList.remove('active'));
-          if (bestMatchingPreset) {
+          if (bestMatchingPreset && resampleMode !== 'pixel-art') {
             bestMatchingPreset.classList.add('active');
           } else {
             const customBtn = document.querySelector('.preset-btn[data-preset="custom"]');
@@ -1249,176 +5223,360 @@ document.addEventListener('DOMContentLoaded', () => {
           }
         }, 100);
         
-        setTimeout(() => {
-          meshStep.classList.add('visible');
-        }, 200);
-        
-        setTimeout(() => {
-          dimensionsStep.classList.add('visible');
-        }, 300);
-        
-        setTimeout(() => {
-          colorsStep.classList.add('visible');
-        }, 450);
+        const middleSteps = settingsSteps.slice(2, -1);
+        middleSteps.forEach((step, i) => {
+          setTimeout(() => {
+            step.classList.add('visible');
+          }, 200 + i * 80);
+        });
         
         setTimeout(() => {
           convertStep.classList.add('visible');
           convertBtn.disabled = false;
-        }, 600);
+        }, 200 + middleSteps.length * 80);
       };
       img.src = event.target.result;
     };
     reader.readAsDataURL(file);
   });
   
-  convertBtn.addEventListener('click', () => {
+  // Get dimensions in stitches, along with the original input values for saving
+  function getTargetDimensions() {
+    const inputHeight = parseFloat(heightInput.value) || 4;
+    const inputWidth = parseFloat(widthInput.value) || 4;
+    
+    // Convert to stitches if in inches mode
+    if (unitMode === 'inches') {
+      return {
+        width: inchesToStitches(inputWidth),
+        height: inchesToStitches(inputHeight),
+        inputWidth,
+        inputHeight
+      };
+    }
+    return {
+      width: Math.round(inputWidth),
+      height: Math.round(inputHeight),
+      inputWidth,
+      inputHeight
+    };
+  }
+  
+  // convertPixels options from the current convert settings
+  function getConvertOptions() {
+    const usesStash = paletteSource === 'stash';
+    return {
+      brand: usesStash ? null : threadBrand,
+      colorSpace,
+      quantizer,
+      resample: resampleMode,
+      dither: ditherMode,
+      ditherStrength: ditherStrength / 100,
+      lockedColors,
+      stash: usesStash ? getStash() : null,
+      background: backgroundMode,
+      backgroundColor,
+      confettiThreshold,
+      adjustments: imageAdjustments
+    };
+  }
+  
+  ditherPreviewBtn.addEventListener('click', () => {
     if (!loadedImage) return;
     
-    // Get dimensions and convert to stitches if in inches mode
-    let heightVal = parseFloat(document.getElementById('heightInput').value) || 4;
-    let widthVal = parseFloat(document.getElementById('widthInput').value) || 4;
-    const maxColors = parseInt(document.getElementById('colorsInput').value) || 20;
+    const { width, height } = getTargetDimensions();
+    const maxColors = parseInt(colorsInput.value) || 20;
+    const options = getConvertOptions();
+    ditherPreviewBtn.disabled = true;
+    ditherPreviewStats.textContent = 'Rendering preview...';
+    ditherPreview.classList.add('visible');
     
-    // Store original input values for saving
-    const inputWidth = widthVal;
-    const inputHeight = heightVal;
+    const showPreview = (result, stats) => {
+      ditherPreviewCanvas.width = width;
+      ditherPreviewCanvas.height = height;
+      ditherPreviewCanvas.getContext('2d').drawImage(renderPreviewToCanvas(result), 0, 0);
+      ditherPreviewStats.textContent = stats;
+      ditherPreviewBtn.disabled = false;
+    };
+    const callbacks = {
+      onProgress: fraction => {
+        ditherPreviewStats.textContent = `Rendering preview... ${Math.round(fraction * 100)}%`;
+      },
+      onError: err => {
+        ditherPreviewStats.textContent = 'Error: ' + err.message;
+        ditherPreviewBtn.disabled = false;
+        console.error(err);
+      },
+      onCancel: () => {
+        ditherPreviewStats.textContent = 'Preview cancelled';
+        ditherPreviewBtn.disabled = false;
+      }
+    };
     
-    // Convert to stitches if in inches mode
-    let height, width;
-    if (unitMode === 'inches') {
-      width = inchesToStitches(widthVal);
-      height = inchesToStitches(heightVal);
-    } else {
-      width = Math.round(widthVal);
-      height = Math.round(heightVal);
+    // Convert without dithering first to count the color changes it saves
+    runConversion(sourceImage, width, height, maxColors, { ...options, dither: 'none' }, {
+      ...callbacks,
+      onDone: plain => {
+        const plainChanges = countColorChanges(plain.grid);
+        if (ditherMode === 'none') {
+          showPreview(plain, `${plainChanges} color changes across rows`);
+          return;
+        }
+        runConversion(sourceImage, width, height, maxColors, options, {
+          ...callbacks,
+          onDone: dithered => {
+            const ditheredChanges = countColorChanges(dithered.grid);
+            showPreview(dithered, `${ditheredChanges} color changes across rows (${plainChanges} without dithering)`);
+          }
+        });
+      }
+    });
+  });
+  
+  function showConvertProgress(fraction, stage) {
+    convertProgress.classList.add('visible');
+    convertProgressFill.style.width = `${Math.round(fraction * 100)}%`;
+    convertProgressLabel.textContent = `${stage} ${Math.round(fraction * 100)}%`;
+  }
+  
+  function hideConvertProgress() {
+    convertProgress.classList.remove('visible');
+    convertBtn.disabled = false;
+  }
+  
+  cancelConvertBtn.addEventListener('click', cancelConversion);
+  
+  convertBtn.addEventListener('click', () => {
+    if (!loadedImage) return;
+    
+    if (paletteSource === 'stash' && getStash().length === 0) {
+      showStatus('Add some threads to your stash first', 'error');
+      setTimeout(hideStatus, 3000);
+      return;
     }
     
-    showStatus('Processing image...', 'processing');
+    const { width, height, inputWidth, inputHeight } = getTargetDimensions();
+    const maxColors = parseInt(colorsInput.value) || 20;
+    
+    hideStatus();
+    showConvertProgress(0, 'Processing image...');
     convertBtn.disabled = true;
     
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-      try {
-        currentResult = processImage(loadedImage, height, width, maxColors);
-        selectedLegendCode = null;
-        
-        let preservedCompletedCells = [];
-        if (currentProjectId) {
-          const existingProject = getProjects().find(p => p.id === currentProjectId);
-          if (existingProject && existingProject.grid) {
-            const existingHeight = existingProject.grid.length;
-            const existingWidth = existingProject.grid[0].length;
-            if (existingHeight === height && existingWidth === width) {
-              preservedCompletedCells = existingProject.completedCells || [];
-            }
-          }
-        }
-        completedCells = new Set(preservedCompletedCells);
-        actionHistory = [];
-        interactionMode = 'progress';
-        
-        // Update pattern info with both stitches and inches
-        const widthInches = stitchesToInches(width);
-        const heightInches = stitchesToInches(height);
-        document.getElementById('patternInfo').textContent = 
-          `${height} rows × ${width} columns (${widthInches}" × ${heightInches}" at ${meshCount} mesh) • ${currentResult.numColors} colors`;
-        
-        // Hide upload section and show result sections
-        document.querySelector('.upload-section').classList.add('hidden');
-        document.getElementById('controls').classList.add('visible');
-        document.getElementById('resultSection').classList.add('visible');
-        document.getElementById('downloadSection').classList.add('visible');
-        
-        // Show edit button (new conversions always have original image)
-        editProjectBtn.style.display = '';
-        
-        // Render grid and legend
-        renderGrid(parseInt(cellSizeInput.value));
-        renderLegend();
-        
-        // Save project to local storage
-        // Create a small thumbnail to save space (max 80x80, preserve aspect ratio)
-        const thumbCanvas = document.createElement('canvas');
-        const thumbSize = 80;
-        const aspectRatio = loadedImage.width / loadedImage.height;
-        if (aspectRatio > 1) {
-          thumbCanvas.width = thumbSize;
-          thumbCanvas.height = Math.round(thumbSize / aspectRatio);
-        } else {
-          thumbCanvas.height = thumbSize;
-          thumbCanvas.width = Math.round(thumbSize * aspectRatio);
-        }
-        const thumbCtx = thumbCanvas.getContext('2d');
-        thumbCtx.drawImage(loadedImage, 0, 0, thumbCanvas.width, thumbCanvas.height);
-        
-        // Create compressed original for editing (max 400px longest edge, preserve aspect ratio)
-        const editCanvas = document.createElement('canvas');
-        const maxEditSize = 400;
-        const editScale = Math.min(maxEditSize / loadedImage.width, maxEditSize / loadedImage.height, 1);
-        editCanvas.width = Math.round(loadedImage.width * editScale);
-        editCanvas.height = Math.round(loadedImage.height * editScale);
-        const editCtx = editCanvas.getContext('2d');
-        editCtx.drawImage(loadedImage, 0, 0, editCanvas.width, editCanvas.height);
-        
-        const project = {
-          id: currentProjectId || Date.now().toString(),
-          name: currentFileName,
-          timestamp: Date.now(),
-          thumbnail: thumbCanvas.toDataURL('image/jpeg', 0.6),
-          originalImage: editCanvas.toDataURL('image/jpeg', 0.7),
-          quantizedImage: processingCanvas.toDataURL('image/jpeg', 0.8),
-          grid: currentResult.grid,
-          colorMap: currentResult.colorMap,
-          colorCounts: currentResult.colorCounts,
-          completedCells: [...completedCells],
-          // Store settings for editing
-          meshCount: meshCount,
-          unitMode: unitMode,
-          inputWidth: inputWidth,
-          inputHeight: inputHeight,
-          maxColors: maxColors
-        };
-        
-        // If updating existing project, remove old one first
-        if (currentProjectId) {
-          const projects = getProjects().filter(p => p.id !== currentProjectId);
-          saveProjects(projects);
+    runConversion(sourceImage, width, height, maxColors, getConvertOptions(), {
+      onProgress: showConvertProgress,
+      onDone: result => {
+        hideConvertProgress();
+        try {
+          currentResult = result;
+          finishConversion(width, height, inputWidth, inputHeight, maxColors);
+        } catch (err) {
+          showStatus('Error: ' + err.message, 'error');
+          console.error(err);
         }
-        
-        currentProjectId = project.id;
-        addProject(project);
-        
-        // Highlight the newly added project in sidebar
-        document.querySelectorAll('.project-item').forEach(el => {
-          el.classList.toggle('active', el.dataset.id === project.id);
-        });
-        
-        showStatus('Conversion complete!', 'success');
-        setTimeout(hideStatus, 2000);
-      } catch (err) {
+      },
+      onError: err => {
+        hideConvertProgress();
         showStatus('Error: ' + err.message, 'error');
         console.error(err);
+      },
+      onCancel: () => {
+        hideConvertProgress();
+        showStatus('Conversion cancelled', 'error');
+        setTimeout(hideStatus, 3000);
       }
-      
-      convertBtn.disabled = false;
-    }, 50);
+    });
   });
   
+  // Show a freshly converted currentResult and save it as a project
+  function finishConversion(width, height, inputWidth, inputHeight, maxColors) {
+    selectedLegendCode = null;
+    mergeSelection = new Set();
+    
+    let preservedCompletedCells = [];
+    let preservedStitchTypes = {};
+    if (currentProjectId) {
+      const existingProject = getProjects().find(p => p.id === currentProjectId);
+      if (existingProject && existingProject.grid) {
+        const existingHeight = existingProject.grid.length;
+        const existingWidth = existingProject.grid[0].length;
+        if (existingHeight === height && existingWidth === width) {
+          preservedCompletedCells = existingProject.completedCells || [];
+          preservedStitchTypes = existingProject.stitchTypes || {};
+        }
+      }
+    }
+    completedCells = new Set(preservedCompletedCells);
+    currentResult.stitchTypes = preservedStitchTypes;
+    actionHistory = [];
+    setInteractionMode('progress');
+    
+    // Update pattern info with both stitches and inches
+    renderPatternInfo();
+    
+    // Hide upload section and show result sections
+    document.querySelector('.upload-section').classList.add('hidden');
+    document.getElementById('controls').classList.add('visible');
+    document.getElementById('resultSection').classList.add('visible');
+    document.getElementById('downloadSection').classList.add('visible');
+    
+    // Show edit button (new conversions always have original image)
+    editProjectBtn.style.display = '';
+    
+    // Render grid and legend
+    renderGrid(parseInt(cellSizeInput.value));
+    renderLegend();
+    
+    // Save project to local storage
+    // Create a small thumbnail to save space (max 80x80, preserve aspect ratio)
+    const thumbCanvas = document.createElement('canvas');
+    const thumbSize = 80;
+    const aspectRatio = sourceImage.width / sourceImage.height;
+    if (aspectRatio > 1) {
+      thumbCanvas.width = thumbSize;
+      thumbCanvas.height = Math.round(thumbSize / aspectRatio);
+    } else {
+      thumbCanvas.height = thumbSize;
+      thumbCanvas.width = Math.round(thumbSize * aspectRatio);
+    }
+    const thumbCtx = thumbCanvas.getContext('2d');
+    thumbCtx.drawImage(sourceImage, 0, 0, thumbCanvas.width, thumbCanvas.height);
+    
+    // Create compressed original for editing (max 400px longest edge, preserve aspect ratio).
+    // Pixel art is kept full size as PNG so its grid and exact colors survive re-editing.
+    const pixelArt = resampleMode === 'pixel-art';
+    const editCanvas = document.createElement('canvas');
+    const maxEditSize = 400;
+    const editScale = pixelArt ? 1 : Math.min(maxEditSize / loadedImage.width, maxEditSize / loadedImage.height, 1);
+    editCanvas.width = Math.round(loadedImage.width * editScale);
+    editCanvas.height = Math.round(loadedImage.height * editScale);
+    const editCtx = editCanvas.getContext('2d');
+    editCtx.drawImage(loadedImage, 0, 0, editCanvas.width, editCanvas.height);
+    
+    const project = {
+      id: currentProjectId || Date.now().toString(),
+      name: currentFileName,
+      timestamp: Date.now(),
+      thumbnail: thumbCanvas.toDataURL('image/jpeg', 0.6),
+      originalImage: pixelArt ? editCanvas.toDataURL('image/png') : editCanvas.toDataURL('image/jpeg', 0.7),
+      quantizedImage: renderPreviewToCanvas().toDataURL('image/jpeg', 0.8),
+      grid: currentResult.grid,
+      colorMap: currentResult.colorMap,
+      colorCounts: currentResult.colorCounts,
+      threadMap: currentResult.threadMap,
+      completedCells: [...completedCells],
+      // Store settings for editing
+      meshCount: meshCount,
+      unitMode: unitMode,
+      inputWidth: inputWidth,
+      inputHeight: inputHeight,
+      maxColors: maxColors,
+      threadBrand: threadBrand,
+      colorSpace: colorSpace,
+      quantizer: quantizer,
+      resampleMode: resampleMode,
+      ditherMode: ditherMode,
+      ditherStrength: ditherStrength,
+      lockedColors: lockedColors,
+      paletteSource: paletteSource,
+      stash: currentResult.stash,
+      backgroundMode: backgroundMode,
+      backgroundColor: backgroundColor,
+      confettiThreshold: confettiThreshold,
+      imagePrep: imagePrep,
+      adjustments: imageAdjustments,
+      cleanup: currentResult.cleanup,
+      stitchTypes: currentResult.stitchTypes
+    };
+    
+    // If updating existing project, remove old one first
+    if (currentProjectId) {
+      const projects = getProjects().filter(p => p.id !== currentProjectId);
+      saveProjects(projects);
+    }
+    
+    currentProjectId = project.id;
+    addProject(project);
+    
+    // Highlight the newly added project in sidebar
+    document.querySelectorAll('.project-item').forEach(el => {
+      el.classList.toggle('active', el.dataset.id === project.id);
+    });
+    
+    showStatus('Conversion complete!', 'success');
+    setTimeout(hideStatus, 2000);
+  }
+  
   cellSizeInput.addEventListener('input', () => {
     const size = cellSizeInput.value;
     cellSizeVal.textContent = size + 'px';
     renderGrid(parseInt(size));
+    renderTextPreview();
   });
   
   toggleCodesBtn.addEventListener('click', () => {
     showCodes = !showCodes;
     toggleCodesBtn.textContent = showCodes ? 'Hide Codes' : 'Show Codes';
     renderGrid(parseInt(cellSizeInput.value));
+    renderTextPreview();
+  });
+  
+  chartStyleSelect.addEventListener('change', () => {
+    chartStyle = chartStyleSelect.value;
+    renderGrid(parseInt(cellSizeInput.value));
+    renderTextPreview();
   });
   
   toggleGridBtn.addEventListener('click', () => {
     showGridLines = !showGridLines;
     renderGrid(parseInt(cellSizeInput.value));
+    renderTextPreview();
+  });
+  
+  borderBtn.addEventListener('click', () => {
+    renderBorderToolbar();
+    borderToolbar.classList.toggle('visible');
+  });
+  
+  borderStyleSelect.addEventListener('change', renderBorderToolbar);
+  fillBackgroundToggle.addEventListener('change', renderBorderToolbar);
+  
+  cancelBorderBtn.addEventListener('click', () => {
+    borderToolbar.classList.remove('visible');
+  });
+  
+  applyBorderBtn.addEventListener('click', () => {
+    const size = Math.min(100, Math.max(0, parseInt(borderWidthInput.value, 10) || 0));
+    const style = borderStyleSelect.value;
+    const fill = fillBackgroundToggle.checked && Boolean(currentResult.colorMap[BACKGROUND_CODE]);
+    if (style === 'greek-key' && size > 0 && size < GREEK_KEY_TILE.length) {
+      showStatus(`A Greek key border needs a width of at least ${GREEK_KEY_TILE.length} stitches`, 'error');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    const borderCodes = size > 0 && style !== 'solid' ? [borderColorSelect.value, borderAccentSelect.value] : [borderColorSelect.value];
+    if (fill && borderCodes.includes(BACKGROUND_CODE)) {
+      showStatus('Pick a thread color for the border when filling the background', 'error');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    if (size === 0 && !fill) return;
+    
+    const prev = snapshotPalette();
+    const prevCompleted = [...completedCells];
+    if (fill) fillBackground(currentResult, borderColorSelect.value);
+    if (size > 0) {
+      const cols = currentResult.grid[0].length;
+      addBorder(currentResult, size, style, [borderColorSelect.value, borderAccentSelect.value]);
+      // Completed stitches keep their place inside the frame
+      const nextCols = currentResult.grid[0].length;
+      completedCells = new Set(prevCompleted.map(index => {
+        return (Math.floor(index / cols) + size) * nextCols + (index % cols) + size;
+      }));
+      persistCompletedCells();
+    }
+    pushAction({ type: 'palette', prev, prevCompleted });
+    applyPaletteChange();
+    borderToolbar.classList.remove('visible');
   });
   
   downloadGridBtn.addEventListener('click', () => {
@@ -1435,11 +5593,32 @@ document.addEventListener('DOMContentLoaded', () => {
     downloadCSV(generateLegendCSV(), `needlepoint_legend_${height}x${width}_${colors}colors.csv`);
   });
   
+  downloadStitchMapBtn.addEventListener('click', () => {
+    const height = currentResult.grid.length;
+    const width = currentResult.grid[0].length;
+    downloadCSV(generateStitchMapCSV(), `needlepoint_stitches_${height}x${width}.csv`);
+  });
+  
+  downloadShoppingListBtn.addEventListener('click', () => {
+    const height = currentResult.grid.length;
+    const width = currentResult.grid[0].length;
+    downloadCSV(generateShoppingListCSV(), `needlepoint_shopping_list_${height}x${width}.csv`);
+  });
+  
+  printShoppingListBtn.addEventListener('click', () => {
+    renderShoppingList();
+    document.body.classList.add('print-shopping-list');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('print-shopping-list');
+    }, { once: true });
+    window.print();
+  });
+  
   downloadPngBtn.addEventListener('click', () => {
     const height = currentResult.grid.length;
     const width = currentResult.grid[0].length;
     const colors = currentResult.numColors;
-    const canvas = document.getElementById('processingCanvas');
+    const canvas = renderPreviewToCanvas();
     const url = canvas.toDataURL('image/png');
     const a = document.createElement('a');
     a.href = url;
@@ -1462,6 +5641,121 @@ document.addEventListener('DOMContentLoaded', () => {
     a.click();
   });
   
+  downloadSvgBtn.addEventListener('click', () => {
+    if (!currentResult) return;
+    const height = currentResult.grid.length;
+    const width = currentResult.grid[0].length;
+    const blob = new Blob([generateChartSVG(svgIncludeLegendCheckbox.checked)], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `needlepoint_grid_${height}x${width}_${currentResult.numColors}colors.svg`;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+  
+  function downloadPdf(readerFriendly) {
+    if (!currentResult) return;
+    showStatus('Building PDF chart...', 'processing');
+    
+    // Let the status paint before the (synchronous) build starts
+    setTimeout(() => {
+      // Letter paper in the US and Canada, A4 everywhere else
+      const pageSize = /^en-(US|CA)$/i.test(navigator.language) ? 'letter' : 'a4';
+      const pdf = buildChartPdf(currentResult, { title: currentFileName, pageSize, readerFriendly });
+      const height = currentResult.grid.length;
+      const width = currentResult.grid[0].length;
+      const blob = new Blob([pdf], { type: 'application/pdf' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `needlepoint_${readerFriendly ? 'reader_chart' : 'chart'}_${height}x${width}_${currentResult.numColors}colors.pdf`;
+      a.click();
+      URL.revokeObjectURL(url);
+      hideStatus();
+    }, 20);
+  }
+  
+  downloadPdfBtn.addEventListener('click', () => downloadPdf(false));
+  downloadReaderPdfBtn.addEventListener('click', () => downloadPdf(true));
+  
+  downloadOxsBtn.addEventListener('click', () => {
+    if (!currentResult) return;
+    const height = currentResult.grid.length;
+    const width = currentResult.grid[0].length;
+    const blob = new Blob([generateOXS(currentResult, { title: currentFileName })], { type: 'application/xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `needlepoint_${height}x${width}_${currentResult.numColors}colors.oxs`;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+  
+  // Open an OXS chart from another app as a new project
+  importOxsBtn.addEventListener('click', () => oxsInput.click());
+  
+  oxsInput.addEventListener('change', () => {
+    const file = oxsInput.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      oxsInput.value = '';
+      let imported;
+      try {
+        imported = parseOXS(reader.result);
+      } catch (e) {
+        showStatus(e.message, 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      const { result, title, mesh, skipped } = imported;
+      cancelConversion();
+      currentFileName = title || file.name.replace(/\.[^/.]+$/, '') || 'Untitled';
+      setInteractionMode('progress');
+      paintColorCode = '1';
+      
+      // Thumbnail from the stitches, since there is no source image
+      const preview = renderPreviewToCanvas(result);
+      const thumbCanvas = document.createElement('canvas');
+      const thumbScale = 80 / Math.max(preview.width, preview.height);
+      thumbCanvas.width = Math.max(1, Math.round(preview.width * thumbScale));
+      thumbCanvas.height = Math.max(1, Math.round(preview.height * thumbScale));
+      const thumbCtx = thumbCanvas.getContext('2d');
+      thumbCtx.imageSmoothingEnabled = false;
+      thumbCtx.drawImage(preview, 0, 0, thumbCanvas.width, thumbCanvas.height);
+      
+      const project = {
+        id: Date.now().toString(),
+        name: currentFileName,
+        timestamp: Date.now(),
+        thumbnail: thumbCanvas.toDataURL('image/png'),
+        quantizedImage: preview.toDataURL('image/png'),
+        grid: result.grid,
+        colorMap: result.colorMap,
+        colorCounts: result.colorCounts,
+        threadMap: result.threadMap,
+        completedCells: [],
+        meshCount: mesh || meshCount,
+        stitchTypes: {}
+      };
+      addProject(project);
+      loadProject(project);
+      
+      showStatus(skipped > 0
+        ? `Imported ${currentFileName}. ${skipped} backstitches, extras and unreadable stitches were skipped.`
+        : `Imported ${currentFileName}`, 'success');
+      setTimeout(hideStatus, 3000);
+    };
+    reader.onerror = () => {
+      showStatus('Could not read the OXS file', 'error');
+      setTimeout(hideStatus, 3000);
+    };
+    reader.readAsText(file);
+  });
+  
   // Edit project button handler
   editProjectBtn.addEventListener('click', () => {
     // Find the current project to get settings
@@ -1480,8 +5774,11 @@ document.addEventListener('DOMContentLoaded', () => {
       loadedImage = img;
       loadedImage.dataUrl = project.originalImage;
       
-      // Calculate aspect ratio
-      imageAspectRatio = img.width / img.height;
+      // Reapply the saved crop and orientation (sets the aspect ratio)
+      imagePrep = project.imagePrep
+        ? { ...project.imagePrep, crop: { ...project.imagePrep.crop } }
+        : defaultImagePrep();
+      refreshSourceImage();
       
       // Restore settings
       if (project.meshCount) {
@@ -1508,12 +5805,41 @@ document.addEventListener('DOMContentLoaded', () => {
       if (project.maxColors) {
         colorsInput.value = project.maxColors;
       }
+      threadBrand = project.threadBrand || null;
+      updateBrandButtons();
+      colorSpace = project.colorSpace || 'rgb';
+      updateColorSpaceButtons();
+      quantizer = project.quantizer || 'median-cut';
+      updateQuantizerButtons();
+      resampleMode = project.resampleMode || 'smooth';
+      updateResampleButtons();
+      // Re-detect the pixel grid. Older projects stored pixel art as a
+      // shrunken JPEG, which has none, so they drop back to smooth.
+      refitPixelArt();
+      ditherMode = project.ditherMode || 'none';
+      if (project.ditherStrength) {
+        ditherStrength = project.ditherStrength;
+      }
+      updateDitherControls();
+      lockedColors = (project.lockedColors || []).slice();
+      renderLockedColors();
+      paletteSource = project.paletteSource || 'image';
+      updatePaletteSourceControls();
+      backgroundMode = project.backgroundMode || 'fill';
+      backgroundColor = project.backgroundColor || '#FFFFFF';
+      updateBackgroundControls();
+      confettiThreshold = project.confettiThreshold || 0;
+      updateConfettiControls();
+      imageAdjustments = { ...DEFAULT_ADJUSTMENTS, ...project.adjustments };
+      updateAdjustmentControls();
+      renderAdjustmentPreview();
       
       currentFileName = project.name;
       selectedLegendCode = null;
+      mergeSelection = new Set();
       completedCells = new Set(project.completedCells || []);
       actionHistory = [];
-      interactionMode = 'progress';
+      setInteractionMode('progress');
       
       // Update preset availability and labels based on image aspect ratio
       updatePresetAvailability();
@@ -1521,16 +5847,11 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Show upload section with image preview
       fileDropzone.classList.add('hidden');
-      previewImg.src = project.originalImage;
       selectedFilename.textContent = currentFileName;
       imageSelectedRow.classList.add('visible');
       
       // Show all step groups
-      presetsStep.classList.add('visible');
-      meshStep.classList.add('visible');
-      dimensionsStep.classList.add('visible');
-      colorsStep.classList.add('visible');
-      convertStep.classList.add('visible');
+      settingsSteps.forEach(step => step.classList.add('visible'));
       convertBtn.disabled = false;
       
       // Mark custom preset since we're editing (user had custom dimensions)
@@ -1547,13 +5868,43 @@ document.addEventListener('DOMContentLoaded', () => {
     img.src = project.originalImage;
   });
   
+  // Shift/Ctrl/Cmd adds or removes a color from the merge selection
+  function toggleMergeSelection(code) {
+    if (code === BACKGROUND_CODE) return;
+    if (mergeSelection.has(code)) {
+      mergeSelection.delete(code);
+    } else {
+      mergeSelection.add(code);
+    }
+    renderLegend();
+  }
+  
   legendEl.addEventListener('click', (e) => {
     const item = e.target.closest('.legend-item');
     if (!item || !item.dataset.code) return;
     const code = item.dataset.code;
+    
+    // The swatch opens the color editor instead of highlighting
+    if (e.target.closest('.legend-swatch')) {
+      e.stopPropagation();
+      const rect = e.target.getBoundingClientRect();
+      showColorEditor(rect.left, rect.bottom + 6, {
+        title: code === BACKGROUND_CODE ? 'Edit Background' : `Edit Color ${code}`,
+        hex: currentResult.colorMap[code],
+        thread: currentResult.threadMap && currentResult.threadMap[code],
+        onApply: (hex, thread) => editPaletteColor(code, hex, thread)
+      });
+      return;
+    }
+    
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      toggleMergeSelection(code);
+      return;
+    }
     selectedLegendCode = selectedLegendCode === code ? null : code;
     renderGrid(parseInt(cellSizeInput.value));
     renderLegend();
+    renderTextPreview();
   });
   
   legendEl.addEventListener('keydown', (e) => {
@@ -1562,11 +5913,128 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!item || !item.dataset.code) return;
     e.preventDefault();
     const code = item.dataset.code;
+    if (e.shiftKey) {
+      toggleMergeSelection(code);
+      return;
+    }
     selectedLegendCode = selectedLegendCode === code ? null : code;
     renderGrid(parseInt(cellSizeInput.value));
     renderLegend();
+    renderTextPreview();
+  });
+  
+  // Yarn estimate settings
+  yarnSettings = getYarnSettings();
+  stitchMethodSelect.value = yarnSettings.method;
+  yarnWasteInput.value = yarnSettings.waste;
+  skeinYardsInput.value = yarnSettings.skeinYards;
+  
+  function updateYarnSettings() {
+    const waste = parseFloat(yarnWasteInput.value);
+    const skeinYards = parseFloat(skeinYardsInput.value);
+    yarnSettings = {
+      method: stitchMethodSelect.value,
+      waste: Number.isFinite(waste) && waste >= 0 ? waste : yarnSettings.waste,
+      skeinYards: Number.isFinite(skeinYards) && skeinYards > 0 ? skeinYards : yarnSettings.skeinYards
+    };
+    saveYarnSettings(yarnSettings);
+    renderLegend();
+  }
+  
+  [stitchMethodSelect, yarnWasteInput, skeinYardsInput].forEach(input => {
+    input.addEventListener('change', updateYarnSettings);
+  });
+  
+  // Shopping list prices, re-rendered with the legend
+  shoppingSettings = getShoppingSettings();
+  
+  shoppingListEl.addEventListener('change', (e) => {
+    const input = e.target.closest('input');
+    if (!input) return;
+    const value = parseFloat(input.value);
+    if (!Number.isFinite(value) || value < 0) {
+      renderShoppingList();
+      return;
+    }
+    if (input.dataset.priceKey) {
+      shoppingSettings = {
+        ...shoppingSettings,
+        skeinPrices: { ...shoppingSettings.skeinPrices, [input.dataset.priceKey]: value }
+      };
+    } else if (input.dataset.setting) {
+      shoppingSettings = { ...shoppingSettings, [input.dataset.setting]: value };
+    }
+    saveShoppingSettings(shoppingSettings);
+    renderShoppingList();
+  });
+  
+  mergeBtn.addEventListener('click', () => {
+    const codes = [...mergeSelection];
+    if (!currentResult || codes.length < 2) return;
+    
+    const { colorMap, colorCounts, threadMap } = currentResult;
+    let hex;
+    let thread = null;
+    if (mergeTargetSelect.value === 'average') {
+      hex = averageColors(codes.map(code => colorMap[code]), codes.map(code => colorCounts[code] || 0));
+      // Keep the result a real thread when the merged colors share a brand
+      const brands = new Set(codes.map(code => threadMap && threadMap[code] && threadMap[code].brand));
+      const [brand] = brands;
+      if (brands.size === 1 && brand) {
+        const match = findNearestThread(...hexToRgb(hex), brand, colorSpace);
+        hex = match.hex;
+        thread = { brand: match.brand, number: match.number, name: match.name };
+      }
+    } else {
+      hex = colorMap[mergeTargetSelect.value];
+      thread = (threadMap && threadMap[mergeTargetSelect.value]) || null;
+    }
+    
+    pushAction({ type: 'palette', prev: snapshotPalette() });
+    const mapping = mergePaletteCodes(currentResult, codes, hex, thread);
+    remapSelectedCodes(mapping);
+    applyPaletteChange();
+  });
+  
+  cancelMergeBtn.addEventListener('click', () => {
+    mergeSelection = new Set();
+    renderLegend();
   });
   
+  // Copy of the palette state, for undoing whole-palette edits
+  function snapshotPalette() {
+    return {
+      grid: currentResult.grid.map(row => [...row]),
+      colorMap: { ...currentResult.colorMap },
+      colorCounts: { ...currentResult.colorCounts },
+      threadMap: { ...currentResult.threadMap },
+      numColors: currentResult.numColors,
+      stitchTypes: { ...currentResult.stitchTypes }
+    };
+  }
+  
+  // Follow renumbered codes in the legend highlight and paint color
+  function remapSelectedCodes(mapping) {
+    if (selectedLegendCode) selectedLegendCode = mapping[selectedLegendCode] || null;
+    if (mapping[paintColorCode]) paintColorCode = mapping[paintColorCode];
+    mergeSelection = new Set();
+  }
+  
+  // Redraw and save after the palette or grid changed as a whole
+  function applyPaletteChange() {
+    renderPatternInfo();
+    renderGrid(parseInt(cellSizeInput.value));
+    renderLegend();
+    renderTextPreview();
+    persistProjectUpdate({
+      grid: currentResult.grid,
+      colorMap: currentResult.colorMap,
+      colorCounts: currentResult.colorCounts,
+      threadMap: currentResult.threadMap,
+      stitchTypes: currentResult.stitchTypes
+    });
+  }
+  
   function persistCompletedCells() {
     if (!currentProjectId) return;
     const projects = getProjects();
@@ -1620,6 +6088,48 @@ document.addEventListener('DOMContentLoaded', () => {
     persistProjectUpdate({ grid: currentResult.grid, colorCounts: currentResult.colorCounts });
   }
 
+  // Set many cells at once to each change's `key` code ('nextCode' to
+  // apply, 'prevCode' to undo), saving the project once
+  function applyCellChanges(changes, key) {
+    const cols = currentResult.grid[0].length;
+    const otherKey = key === 'nextCode' ? 'prevCode' : 'nextCode';
+    for (const change of changes) {
+      const { rowIdx, colIdx } = change;
+      updateColorCounts(change[otherKey], change[key]);
+      currentResult.grid[rowIdx][colIdx] = change[key];
+      updateCellElement(getCellElementByIndex(rowIdx * cols + colIdx), change[key], rowIdx, colIdx);
+    }
+    renderLegend();
+    persistProjectUpdate({ grid: currentResult.grid, colorCounts: currentResult.colorCounts });
+  }
+
+  // Set each change's `key` stitch type ('nextType' to apply, 'prevType'
+  // to undo) on its cell, null meaning plain tent
+  function applyStitchChanges(changes, key) {
+    if (!currentResult.stitchTypes) currentResult.stitchTypes = {};
+    const cols = currentResult.grid[0].length;
+    for (const change of changes) {
+      const cell = getCellElementByIndex(change.index);
+      if (cell) {
+        const prevType = getStitchType(change.index);
+        if (prevType) cell.classList.remove(`stitch-type-${prevType}`);
+        if (change[key]) cell.classList.add(`stitch-type-${change[key]}`);
+      }
+      if (change[key]) {
+        currentResult.stitchTypes[change.index] = change[key];
+      } else {
+        delete currentResult.stitchTypes[change.index];
+      }
+      if (cell) {
+        const rowIdx = Math.floor(change.index / cols);
+        const colIdx = change.index % cols;
+        cell.title = getCellTitle(rowIdx, colIdx, currentResult.grid[rowIdx][colIdx]);
+      }
+    }
+    renderStitchKey();
+    persistProjectUpdate({ stitchTypes: currentResult.stitchTypes });
+  }
+
   function undoLastAction() {
     const action = actionHistory.pop();
     if (!action) return;
@@ -1629,20 +6139,48 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    if (action.type === 'stitches') {
+      applyStitchChanges(action.changes, 'prevType');
+      return;
+    }
+    
+    // Cells under the text preview show the preview, not their code
+    clearTextPreview();
+    
     if (action.type === 'color') {
       updateColorCounts(action.nextCode, action.prevCode);
       applyColorChange(action.rowIdx, action.colIdx, action.prevCode);
     }
+    
+    if (action.type === 'cells') {
+      applyCellChanges(action.changes, 'prevCode');
+    }
+    
+    if (action.type === 'palette') {
+      Object.assign(currentResult, action.prev);
+      selectedLegendCode = null;
+      mergeSelection = new Set();
+      // Borders move the completed stitches along with the grid
+      if (action.prevCompleted) {
+        completedCells = new Set(action.prevCompleted);
+        persistCompletedCells();
+      }
+      applyPaletteChange();
+    }
+    
+    renderTextPreview();
   }
 
   function updateCellElement(cell, code, rowIdx, colIdx) {
     if (!cell) return;
-    const hex = currentResult.colorMap[code];
+    const appearance = getCellAppearance(code);
     cell.dataset.code = code;
-    cell.style.backgroundColor = hex;
-    cell.style.color = getTextColor(hex);
-    cell.textContent = showCodes ? code : '';
-    cell.title = `Row ${rowIdx + 1}, Col ${colIdx + 1}\n${code}: ${hex}`;
+    cell.style.backgroundColor = appearance.fill;
+    cell.style.color = appearance.text;
+    cell.classList.toggle('background', code === BACKGROUND_CODE);
+    cell.classList.toggle('show-codes', Boolean(appearance.label));
+    cell.textContent = appearance.label;
+    cell.title = getCellTitle(rowIdx, colIdx, code);
     
     if (selectedLegendCode) {
       if (code === selectedLegendCode) {
@@ -1671,22 +6209,35 @@ document.addEventListener('DOMContentLoaded', () => {
     colorContextMenu.innerHTML = '';
   }
 
+  // Menu items for every palette code, labelled with the matched thread if any
+  function buildColorMenuItems(activeCode) {
+    const { colorMap, threadMap } = currentResult;
+    const codes = sortCodes(Object.keys(colorMap));
+    return codes.map(code => {
+      const thread = threadMap && threadMap[code];
+      const title = thread ? `${formatThreadNumber(thread)} ${thread.name}` : colorMap[code];
+      return `
+        <div class="color-context-item ${code === activeCode ? 'active' : ''}" data-code="${code}" title="${title}">
+          <span class="color-context-swatch" style="background:${colorMap[code]}"></span>
+          <span class="color-context-label">
+            <span>${code}</span>
+            ${thread ? `<span class="color-context-thread">${thread.number}</span>` : ''}
+          </span>
+        </div>
+      `;
+    }).join('');
+  }
+
   function showColorContextMenu(x, y, cell, rowIdx, colIdx) {
     if (!currentResult || !colorContextMenu) return;
-    const { colorMap } = currentResult;
     const currentCode = cell.dataset.code;
     
-    const codes = Object.keys(colorMap).sort((a, b) => parseInt(a) - parseInt(b));
     colorContextMenu.innerHTML = `
       <div class="color-context-title">Set Color</div>
       <div class="color-context-grid">
-        ${codes.map(code => `
-          <div class="color-context-item ${code === currentCode ? 'active' : ''}" data-code="${code}">
-            <span class="color-context-swatch" style="background:${colorMap[code]}"></span>
-            <span>${code}</span>
-          </div>
-        `).join('')}
+        ${buildColorMenuItems(currentCode)}
       </div>
+      <button type="button" class="color-context-add">+ Add color</button>
     `;
     
     colorContextMenu.classList.add('visible');
@@ -1721,24 +6272,314 @@ document.addEventListener('DOMContentLoaded', () => {
         hideColorContextMenu();
       });
     });
+    
+    // New color for this stitch; one undo step removes both
+    colorContextMenu.querySelector('.color-context-add').addEventListener('click', (e) => {
+      e.stopPropagation();
+      showColorEditor(left, top, {
+        title: 'Add Color',
+        hex: currentResult.colorMap[currentCode],
+        thread: null,
+        onApply: (hex, thread) => {
+          const prev = snapshotPalette();
+          const nextCode = addPaletteColor(currentResult, hex, thread);
+          if (nextCode === currentCode) return;
+          pushAction({ type: 'palette', prev });
+          updateColorCounts(currentCode, nextCode);
+          currentResult.grid[rowIdx][colIdx] = nextCode;
+          applyPaletteChange();
+        }
+      });
+    });
+  }
+
+  // Popover for choosing a color by value or by thread number. Calls
+  // onApply(hex, thread) with thread null for a plain color.
+  function showColorEditor(x, y, { title, hex, thread, onApply }) {
+    if (!colorContextMenu) return;
+    let currentThread = thread || null;
+    const brandKeys = Object.keys(THREAD_CATALOGS);
+    const initialBrand = (currentThread && currentThread.brand) || threadBrand || '';
+    
+    colorContextMenu.innerHTML = `
+      <div class="color-context-title">${title}</div>
+      <div class="color-editor">
+        <div class="color-editor-row">
+          <input type="color" id="colorEditorPicker" value="${hex.toLowerCase()}">
+          <input type="text" id="colorEditorHex" value="${hex}" maxlength="7" size="8">
+        </div>
+        <div class="color-editor-row">
+          <select id="colorEditorBrand">
+            <option value="">No thread</option>
+            ${brandKeys.map(key => `<option value="${key}">${THREAD_CATALOGS[key].name}</option>`).join('')}
+          </select>
+          <input type="text" id="colorEditorThread" list="colorEditorThreads" placeholder="Number" size="7">
+          <datalist id="colorEditorThreads"></datalist>
+          <button type="button" id="colorEditorNearest" title="Nearest thread of this brand">Nearest</button>
+        </div>
+        <div class="color-editor-actions">
+          <button type="button" id="colorEditorCancel">Cancel</button>
+          <button type="button" class="primary" id="colorEditorApply">Apply</button>
+        </div>
+      </div>
+    `;
+    
+    const picker = document.getElementById('colorEditorPicker');
+    const hexInput = document.getElementById('colorEditorHex');
+    const brandSelect = document.getElementById('colorEditorBrand');
+    const threadInput = document.getElementById('colorEditorThread');
+    const threadList = document.getElementById('colorEditorThreads');
+    const nearestBtn = document.getElementById('colorEditorNearest');
+    
+    function setThread(nextThread) {
+      currentThread = nextThread;
+      threadInput.value = nextThread ? nextThread.number : '';
+      threadInput.classList.remove('invalid');
+      if (nextThread) {
+        picker.value = nextThread.hex.toLowerCase();
+        hexInput.value = nextThread.hex;
+        hexInput.classList.remove('invalid');
+      }
+    }
+    
+    function updateBrandOptions() {
+      const brand = brandSelect.value;
+      threadInput.disabled = !brand;
+      nearestBtn.disabled = !brand;
+      threadList.innerHTML = brand
+        ? getThreadCatalog(brand).map(t => `<option value="${t.number}">${t.name}</option>`).join('')
+        : '';
+    }
+    
+    brandSelect.value = initialBrand;
+    updateBrandOptions();
+    if (currentThread) threadInput.value = currentThread.number;
+    
+    picker.addEventListener('input', () => {
+      hexInput.value = picker.value.toUpperCase();
+      hexInput.classList.remove('invalid');
+      setThread(null);
+    });
+    
+    hexInput.addEventListener('input', () => {
+      const match = hexInput.value.trim().match(/^#?([0-9a-f]{6})$/i);
+      hexInput.classList.toggle('invalid', !match);
+      if (!match) return;
+      picker.value = '#' + match[1].toLowerCase();
+      setThread(null);
+    });
+    
+    brandSelect.addEventListener('change', () => {
+      setThread(null);
+      updateBrandOptions();
+    });
+    
+    threadInput.addEventListener('change', () => {
+      const found = findThreadByNumber(brandSelect.value, threadInput.value);
+      if (found) {
+        setThread(found);
+      } else {
+        currentThread = null;
+        threadInput.classList.toggle('invalid', threadInput.value.trim() !== '');
+      }
+    });
+    
+    nearestBtn.addEventListener('click', () => {
+      if (!brandSelect.value) return;
+      setThread(findNearestThread(...hexToRgb(picker.value.toUpperCase()), brandSelect.value, colorSpace));
+    });
+    
+    document.getElementById('colorEditorCancel').addEventListener('click', hideColorContextMenu);
+    document.getElementById('colorEditorApply').addEventListener('click', () => {
+      if (hexInput.classList.contains('invalid') || threadInput.classList.contains('invalid')) return;
+      const nextHex = picker.value.toUpperCase();
+      const nextThread = currentThread
+        ? { brand: currentThread.brand, number: currentThread.number, name: currentThread.name }
+        : null;
+      hideColorContextMenu();
+      onApply(nextHex, nextThread);
+    });
+    
+    colorContextMenu.classList.add('visible');
+    colorContextMenu.setAttribute('aria-hidden', 'false');
+    
+    const menuRect = colorContextMenu.getBoundingClientRect();
+    const left = Math.min(x, window.innerWidth - menuRect.width - 8);
+    const top = Math.min(y, window.innerHeight - menuRect.height - 8);
+    colorContextMenu.style.left = `${Math.max(8, left)}px`;
+    colorContextMenu.style.top = `${Math.max(8, top)}px`;
+  }
+  
+  // Change one code's color (and thread) everywhere it is used
+  function editPaletteColor(code, hex, thread) {
+    const { colorMap, threadMap } = currentResult;
+    const prevThread = threadMap && threadMap[code];
+    const sameThread = JSON.stringify(prevThread || null) === JSON.stringify(thread);
+    if (colorMap[code] === hex && sameThread) return;
+    
+    pushAction({ type: 'palette', prev: snapshotPalette() });
+    colorMap[code] = hex;
+    if (!currentResult.threadMap) currentResult.threadMap = {};
+    if (thread) {
+      currentResult.threadMap[code] = thread;
+    } else {
+      delete currentResult.threadMap[code];
+    }
+    applyPaletteChange();
   }
 
+  // ============================================
+  // TEXT TOOL
+  // ============================================
+  
+  let textAnchor = null; // {rowIdx, colIdx} the text was placed at
+  let textHover = null; // cell under the pointer while not yet placed
+  let textPreviewIndices = [];
+  
+  if (textFontSelect) {
+    textFontSelect.innerHTML = Object.entries(STITCH_FONTS)
+      .map(([key, font]) => `<option value="${key}">${font.name}</option>`)
+      .join('');
+    textFontSelect.value = 'classic';
+  }
+  
+  function getTextLayout() {
+    return renderStitchText(textToolInput ? textToolInput.value : '', textFontSelect.value, {
+      bold: textBoldToggle.checked,
+      scale: parseInt(textSizeSelect.value, 10) || 1
+    });
+  }
+  
+  // Grid cells covered by the text at `anchor`, clipped to the pattern
+  function getTextCells(layout, anchor) {
+    const rows = currentResult.grid.length;
+    const cols = currentResult.grid[0].length;
+    return layout.cells
+      .map(([row, col]) => ({ rowIdx: anchor.rowIdx + row, colIdx: anchor.colIdx + col }))
+      .filter(({ rowIdx, colIdx }) => rowIdx >= 0 && rowIdx < rows && colIdx >= 0 && colIdx < cols);
+  }
+  
+  function clearTextPreview() {
+    if (!currentResult) return;
+    const cols = currentResult.grid[0].length;
+    for (const index of textPreviewIndices) {
+      const cell = getCellElementByIndex(index);
+      // A redrawn grid has already dropped the preview
+      if (!cell || !cell.classList.contains('text-preview')) continue;
+      const rowIdx = Math.floor(index / cols);
+      const colIdx = index % cols;
+      cell.classList.remove('text-preview');
+      updateCellElement(cell, currentResult.grid[rowIdx][colIdx], rowIdx, colIdx);
+    }
+    textPreviewIndices = [];
+  }
+  
+  // Show the text in the paint color where it would go, without touching
+  // the grid data until it's applied
+  function renderTextPreview() {
+    clearTextPreview();
+    const anchor = textAnchor || textHover;
+    const layout = interactionMode === 'text' && currentResult ? getTextLayout() : null;
+    
+    if (layout && anchor) {
+      const cols = currentResult.grid[0].length;
+      for (const { rowIdx, colIdx } of getTextCells(layout, anchor)) {
+        const index = rowIdx * cols + colIdx;
+        const cell = getCellElementByIndex(index);
+        if (!cell) continue;
+        updateCellElement(cell, paintColorCode, rowIdx, colIdx);
+        cell.classList.add('text-preview');
+        textPreviewIndices.push(index);
+      }
+    }
+    
+    if (applyTextBtn) applyTextBtn.disabled = !layout || !textAnchor || layout.cells.length === 0;
+    if (!textToolHint || !layout) return;
+    if (layout.cells.length === 0) {
+      textToolHint.textContent = 'Type the text to add.';
+    } else if (layout.missing.length > 0) {
+      textToolHint.textContent = `The font has no stitches for: ${layout.missing.join(' ')}`;
+    } else if (!textAnchor) {
+      textToolHint.textContent = `${layout.width} × ${layout.height} stitches. Click the grid to place the top-left corner.`;
+    } else {
+      textToolHint.textContent = `${layout.width} × ${layout.height} stitches. Click elsewhere to move it, or Apply.`;
+    }
+  }
+  
+  function applyText() {
+    if (!currentResult || !textAnchor) return;
+    const cells = getTextCells(getTextLayout(), textAnchor);
+    clearTextPreview();
+    const changes = cells
+      .map(({ rowIdx, colIdx }) => ({
+        rowIdx,
+        colIdx,
+        prevCode: currentResult.grid[rowIdx][colIdx],
+        nextCode: paintColorCode
+      }))
+      .filter(change => change.prevCode !== change.nextCode);
+    textAnchor = null;
+    if (changes.length > 0) {
+      applyCellChanges(changes, 'nextCode');
+      pushAction({ type: 'cells', changes });
+    }
+    renderTextPreview();
+  }
+  
+  if (textToolInput) {
+    [textToolInput, textFontSelect, textSizeSelect, textBoldToggle].forEach(input => {
+      input.addEventListener('input', renderTextPreview);
+    });
+    applyTextBtn.addEventListener('click', applyText);
+    clearTextBtn.addEventListener('click', () => {
+      textAnchor = null;
+      renderTextPreview();
+    });
+  }
+  
+  gridEl.addEventListener('mouseover', (e) => {
+    if (interactionMode !== 'text' || textAnchor) return;
+    const cell = e.target.closest('.cell');
+    if (!cell || !cell.dataset.index) return;
+    const index = parseInt(cell.dataset.index, 10);
+    const cols = currentResult.grid[0].length;
+    textHover = { rowIdx: Math.floor(index / cols), colIdx: index % cols };
+    renderTextPreview();
+  });
+  
+  gridEl.addEventListener('mouseleave', () => {
+    if (interactionMode !== 'text' || !textHover) return;
+    textHover = null;
+    renderTextPreview();
+  });
+  
   function setInteractionMode(mode) {
     interactionMode = mode;
+    // Text mode paints with the paint color too
+    const usesPaintColor = mode === 'paint' || mode === 'text';
     if (progressModeBtn && paintModeBtn && paintControls) {
       progressModeBtn.classList.toggle('active', mode === 'progress');
       paintModeBtn.classList.toggle('active', mode === 'paint');
-      paintControls.classList.toggle('visible', mode === 'paint');
+      paintControls.classList.toggle('visible', usesPaintColor);
     }
+    if (textModeBtn) textModeBtn.classList.toggle('active', mode === 'text');
+    if (textToolPanel) textToolPanel.classList.toggle('visible', mode === 'text');
+    if (stitchModeBtn) stitchModeBtn.classList.toggle('active', mode === 'stitch');
+    if (stitchTypeSelect) stitchTypeSelect.classList.toggle('visible', mode === 'stitch');
     const modeBar = document.getElementById('modeBar');
     if (modeBar) {
-      modeBar.classList.toggle('paint-active', mode === 'paint');
+      modeBar.classList.toggle('paint-active', usesPaintColor);
+    }
+    if (mode !== 'text') {
+      textAnchor = null;
+      textHover = null;
     }
+    renderTextPreview();
   }
 
   updatePaintControls = function () {
     if (!currentResult || !paintSwatch) return;
-    const codes = Object.keys(currentResult.colorMap).sort((a, b) => parseInt(a) - parseInt(b));
+    const codes = sortCodes(Object.keys(currentResult.colorMap));
     if (codes.length === 0) return;
     const shouldReset = !codes.includes(paintColorCode);
     if (shouldReset) {
@@ -1751,26 +6592,29 @@ document.addEventListener('DOMContentLoaded', () => {
     paintSwatch.style.background = currentResult.colorMap[paintColorCode];
   };
 
+  // Stitch types to paint in Stitch mode
+  if (stitchTypeSelect) {
+    stitchTypeSelect.innerHTML = `<option value="">${DEFAULT_STITCH_LABEL} (clear)</option>` +
+      Object.entries(STITCH_TYPES).map(([key, type]) => `<option value="${key}">${type.label}</option>`).join('');
+    stitchTypeSelect.value = 'scotch';
+  }
+  
   if (progressModeBtn && paintModeBtn) {
     progressModeBtn.addEventListener('click', () => setInteractionMode('progress'));
     paintModeBtn.addEventListener('click', () => setInteractionMode('paint'));
+    if (textModeBtn) textModeBtn.addEventListener('click', () => setInteractionMode('text'));
+    if (stitchModeBtn) stitchModeBtn.addEventListener('click', () => setInteractionMode('stitch'));
     setInteractionMode('progress');
   }
 
   function showPaintColorMenu(x, y) {
     if (!currentResult || !colorContextMenu) return;
-    const { colorMap } = currentResult;
-    const codes = Object.keys(colorMap).sort((a, b) => parseInt(a) - parseInt(b));
     colorContextMenu.innerHTML = `
       <div class="color-context-title">Paint Color</div>
       <div class="color-context-grid">
-        ${codes.map(code => `
-          <div class="color-context-item ${code === paintColorCode ? 'active' : ''}" data-code="${code}">
-            <span class="color-context-swatch" style="background:${colorMap[code]}"></span>
-            <span>${code}</span>
-          </div>
-        `).join('')}
+        ${buildColorMenuItems(paintColorCode)}
       </div>
+      <button type="button" class="color-context-add">+ Add color</button>
     `;
     
     colorContextMenu.classList.add('visible');
@@ -1793,6 +6637,26 @@ document.addEventListener('DOMContentLoaded', () => {
         if (paintColorLabel) paintColorLabel.textContent = paintColorCode;
         if (paintSwatch) paintSwatch.style.background = currentResult.colorMap[paintColorCode];
         hideColorContextMenu();
+        renderTextPreview();
+      });
+    });
+    
+    // New color to paint with
+    colorContextMenu.querySelector('.color-context-add').addEventListener('click', (e) => {
+      e.stopPropagation();
+      showColorEditor(left, top, {
+        title: 'Add Color',
+        hex: currentResult.colorMap[paintColorCode],
+        thread: null,
+        onApply: (hex, thread) => {
+          const prev = snapshotPalette();
+          const colorsBefore = currentResult.numColors;
+          paintColorCode = addPaletteColor(currentResult, hex, thread);
+          if (currentResult.numColors > colorsBefore) {
+            pushAction({ type: 'palette', prev });
+          }
+          applyPaletteChange();
+        }
       });
     });
   }
@@ -1815,6 +6679,30 @@ document.addEventListener('DOMContentLoaded', () => {
     const index = parseInt(cell.dataset.index, 10);
     if (Number.isNaN(index)) return;
     
+    if (interactionMode === 'text') {
+      const cols = currentResult.grid[0].length;
+      textAnchor = { rowIdx: Math.floor(index / cols), colIdx: index % cols };
+      renderTextPreview();
+      return;
+    }
+    
+    if (interactionMode === 'stitch') {
+      // Shift-click assigns the stitch to the whole area of that color
+      const cols = currentResult.grid[0].length;
+      const indices = e.shiftKey
+        ? findColorRegion(currentResult.grid, Math.floor(index / cols), index % cols)
+        : [index];
+      const nextType = stitchTypeSelect.value || null;
+      const changes = indices
+        .map(i => ({ index: i, prevType: getStitchType(i), nextType }))
+        .filter(change => change.prevType !== change.nextType);
+      if (changes.length > 0) {
+        applyStitchChanges(changes, 'nextType');
+        pushAction({ type: 'stitches', changes });
+      }
+      return;
+    }
+    
     if (interactionMode === 'paint') {
       const cols = currentResult.grid[0].length;
       const rowIdx = Math.floor(index / cols);
@@ -1863,7 +6751,15 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') hideColorContextMenu();
+    if (e.key === 'Escape') {
+      hideColorContextMenu();
+      if (textAnchor) {
+        textAnchor = null;
+        renderTextPreview();
+      }
+    }
+    // Leave undo inside the text box to the browser
+    if (e.target === textToolInput) return;
     if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'z') {
       e.preventDefault();
       if (colorContextMenu && colorContextMenu.classList.contains('visible')) {
@@ -1874,7 +6770,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
-  window.addEventListener('resize', hideColorContextMenu);
+  window.addEventListener('resize', () => {
+    // On-screen keyboards resize the window while the color editor has focus
+    if (colorContextMenu && colorContextMenu.contains(document.activeElement)) return;
+    hideColorContextMenu();
+  });
   
   // ============================================
   // MOBILE MENU TOGGLE
@@ -0,0 +1,142 @@
+// ============================================
+// STITCH FONTS
+// ============================================
+
+// Bitmap fonts for the text tool. Each glyph is a list of rows from top to
+// bottom, '#' for a stitch and '.' for an empty square. Glyphs can be
+// narrower than the font (I, 1, punctuation) but every row of a glyph has
+// the same length. Fonts without lowercase letters fall back to capitals.
+const STITCH_FONTS = {
+  mini: {
+    name: 'Mini (5 rows)',
+    height: 5,
+    glyphs: {
+      A: ['.#.', '#.#', '###', '#.#', '#.#'],
+      B: ['##.', '#.#', '##.', '#.#', '##.'],
+      C: ['.##', '#..', '#..', '#..', '.##'],
+      D: ['##.', '#.#', '#.#', '#.#', '##.'],
+      E: ['###', '#..', '##.', '#..', '###'],
+      F: ['###', '#..', '##.', '#..', '#..'],
+      G: ['.##', '#..', '#.#', '#.#', '.##'],
+      H: ['#.#', '#.#', '###', '#.#', '#.#'],
+      I: ['###', '.#.', '.#.', '.#.', '###'],
+      J: ['..#', '..#', '..#', '#.#', '.#.'],
+      K: ['#.#', '#.#', '##.', '#.#', '#.#'],
+      L: ['#..', '#..', '#..', '#..', '###'],
+      M: ['#...#', '##.##', '#.#.#', '#...#', '#...#'],
+      N: ['#..#', '##.#', '#.##', '#..#', '#..#'],
+      O: ['.#.', '#.#', '#.#', '#.#', '.#.'],
+      P: ['##.', '#.#', '##.', '#..', '#..'],
+      Q: ['.#.', '#.#', '#.#', '##.', '.##'],
+      R: ['##.', '#.#', '##.', '#.#', '#.#'],
+      S: ['.##', '#..', '.#.', '..#', '##.'],
+      T: ['###', '.#.', '.#.', '.#.', '.#.'],
+      U: ['#.#', '#.#', '#.#', '#.#', '###'],
+      V: ['#.#', '#.#', '#.#', '#.#', '.#.'],
+      W: ['#...#', '#...#', '#.#.#', '##.##', '#...#'],
+      X: ['#.#', '#.#', '.#.', '#.#', '#.#'],
+      Y: ['#.#', '#.#', '.#.', '.#.', '.#.'],
+      Z: ['###', '..#', '.#.', '#..', '###'],
+      0: ['###', '#.#', '#.#', '#.#', '###'],
+      1: ['.#.', '##.', '.#.', '.#.', '###'],
+      2: ['##.', '..#', '.#.', '#..', '###'],
+      3: ['##.', '..#', '.#.', '..#', '##.'],
+      4: ['#.#', '#.#', '###', '..#', '..#'],
+      5: ['###', '#..', '##.', '..#', '##.'],
+      6: ['.##', '#..', '###', '#.#', '###'],
+      7: ['###', '..#', '.#.', '.#.', '.#.'],
+      8: ['###', '#.#', '###', '#.#', '###'],
+      9: ['###', '#.#', '###', '..#', '##.'],
+      ' ': ['..', '..', '..', '..', '..'],
+      '.': ['.', '.', '.', '.', '#'],
+      ',': ['..', '..', '..', '.#', '#.'],
+      '!': ['#', '#', '#', '.', '#'],
+      '?': ['###', '..#', '.#.', '...', '.#.'],
+      '-': ['...', '...', '###', '...', '...'],
+      "'": ['#', '#', '.', '.', '.'],
+      ':': ['.', '#', '.', '#', '.'],
+      '/': ['..#', '..#', '.#.', '#..', '#..'],
+      '&': ['.#.', '#.#', '.#.', '#.#', '.##'],
+      '♥': ['.#.#.', '#####', '#####', '.###.', '..#..']
+    }
+  },
+  classic: {
+    name: 'Classic (7 rows)',
+    height: 7,
+    glyphs: {
+      A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+      B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+      C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+      D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+      E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+      F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+      G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+      H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+      I: ['###', '.#.', '.#.', '.#.', '.#.', '.#.', '###'],
+      J: ['..###', '...#.', '...#.', '...#.', '#..#.', '#..#.', '.##..'],
+      K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+      L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+      M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+      N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+      O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+      P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+      Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+      R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+      S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+      T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+      U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+      V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+      W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+      X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+      Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+      Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+      a: ['.....', '.....', '.###.', '....#', '.####', '#...#', '.####'],
+      b: ['#....', '#....', '####.', '#...#', '#...#', '#...#', '####.'],
+      c: ['.....', '.....', '.####', '#....', '#....', '#....', '.####'],
+      d: ['....#', '....#', '.####', '#...#', '#...#', '#...#', '.####'],
+      e: ['.....', '.....', '.###.', '#...#', '#####', '#....', '.###.'],
+      f: ['..##', '.#..', '####', '.#..', '.#..', '.#..', '.#..'],
+      g: ['.....', '.####', '#...#', '#...#', '.####', '....#', '.###.'],
+      h: ['#....', '#....', '####.', '#...#', '#...#', '#...#', '#...#'],
+      i: ['.', '#', '.', '#', '#', '#', '#'],
+      j: ['..#', '...', '..#', '..#', '..#', '#.#', '.#.'],
+      k: ['#...', '#...', '#..#', '#.#.', '##..', '#.#.', '#..#'],
+      l: ['#.', '#.', '#.', '#.', '#.', '#.', '.#'],
+      m: ['.....', '.....', '##.#.', '#.#.#', '#.#.#', '#.#.#', '#.#.#'],
+      n: ['.....', '.....', '####.', '#...#', '#...#', '#...#', '#...#'],
+      o: ['.....', '.....', '.###.', '#...#', '#...#', '#...#', '.###.'],
+      p: ['.....', '####.', '#...#', '#...#', '####.', '#....', '#....'],
+      q: ['.....', '.####', '#...#', '#...#', '.####', '....#', '....#'],
+      r: ['.....', '.....', '#.##.', '##..#', '#....', '#....', '#....'],
+      s: ['.....', '.....', '.####', '#....', '.###.', '....#', '####.'],
+      t: ['.#..', '.#..', '####', '.#..', '.#..', '.#..', '..##'],
+      u: ['.....', '.....', '#...#', '#...#', '#...#', '#...#', '.####'],
+      v: ['.....', '.....', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+      w: ['.....', '.....', '#...#', '#...#', '#.#.#', '#.#.#', '.#.#.'],
+      x: ['.....', '.....', '#...#', '.#.#.', '..#..', '.#.#.', '#...#'],
+      y: ['.....', '#...#', '#...#', '#...#', '.####', '....#', '.###.'],
+      z: ['.....', '.....', '#####', '...#.', '..#..', '.#...', '#####'],
+      0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+      1: ['.#.', '##.', '.#.', '.#.', '.#.', '.#.', '###'],
+      2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+      3: ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+      4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+      5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+      6: ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+      7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+      8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+      9: ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+      ' ': ['...', '...', '...', '...', '...', '...', '...'],
+      '.': ['.', '.', '.', '.', '.', '.', '#'],
+      ',': ['..', '..', '..', '..', '..', '.#', '#.'],
+      '!': ['#', '#', '#', '#', '#', '.', '#'],
+      '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+      '-': ['...', '...', '...', '###', '...', '...', '...'],
+      "'": ['#', '#', '.', '.', '.', '.', '.'],
+      ':': ['.', '.', '#', '.', '.', '#', '.'],
+      '/': ['....#', '....#', '...#.', '..#..', '.#...', '#....', '#....'],
+      '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+      '♥': ['.#.#.', '#####', '#####', '#####', '.###.', '..#..', '.....']
+    }
+  }
+};
@@ -0,0 +1,677 @@
+// ============================================
+// THREAD & YARN BRAND CATALOGS
+// ============================================
+
+// Approximate screen colors for the shade cards of common needlepoint
+// threads. Each entry is [number, name, hex]. The hex values are visual
+// matches, not manufacturer data, so check a physical shade card before
+// buying yarn for a large project.
+//
+// Skeins are `skeinYards` long with `skeinStrands` strands (or plies) that
+// can be separated; `strandsByMesh` is how many strands are usually
+// threaded together to cover each canvas mesh.
+const THREAD_CATALOGS = {
+  dmc: {
+    name: 'DMC',
+    label: 'DMC Stranded Cotton',
+    // 8 m skeins of 6-strand floss
+    skeinYards: 8.7,
+    skeinStrands: 6,
+    strandsByMesh: { 12: 12, 18: 8 },
+    colors: [
+      ['B5200', 'Snow White', '#FFFFFF'],
+      ['BLANC', 'White', '#FCFBF8'],
+      ['ECRU', 'Ecru', '#F0EADA'],
+      ['150', 'Dusty Rose Ultra Very Dark', '#AB0249'],
+      ['151', 'Dusty Rose Very Light', '#F0CED4'],
+      ['152', 'Shell Pink Medium Light', '#E2A099'],
+      ['153', 'Violet Very Light', '#E6CCD9'],
+      ['154', 'Grape Very Dark', '#572433'],
+      ['155', 'Blue Violet Medium Dark', '#9891B6'],
+      ['156', 'Blue Violet Medium Light', '#A3AED1'],
+      ['157', 'Cornflower Blue Very Light', '#BBC3D9'],
+      ['158', 'Cornflower Blue Medium Very Dark', '#4C526E'],
+      ['159', 'Blue Gray Light', '#C7CAD7'],
+      ['160', 'Blue Gray Medium', '#999FB7'],
+      ['161', 'Blue Gray', '#7880A4'],
+      ['162', 'Blue Ultra Very Light', '#DBECF5'],
+      ['163', 'Celadon Green Medium', '#4D8361'],
+      ['164', 'Forest Green Light', '#C8D8B8'],
+      ['165', 'Moss Green Very Light', '#EFF4A4'],
+      ['166', 'Moss Green Medium Light', '#C0C840'],
+      ['167', 'Yellow Beige Very Dark', '#A77C49'],
+      ['168', 'Pewter Very Light', '#D1D1D1'],
+      ['169', 'Pewter Light', '#848484'],
+      ['208', 'Lavender Very Dark', '#835B8B'],
+      ['209', 'Lavender Dark', '#A37BA7'],
+      ['210', 'Lavender Medium', '#C39FC3'],
+      ['211', 'Lavender Light', '#E3CBE3'],
+      ['221', 'Shell Pink Very Dark', '#883E43'],
+      ['223', 'Shell Pink Light', '#CC847C'],
+      ['224', 'Shell Pink Very Light', '#EBB7AF'],
+      ['225', 'Shell Pink Ultra Very Light', '#FFDFD5'],
+      ['300', 'Mahogany Very Dark', '#6F2F00'],
+      ['301', 'Mahogany Medium', '#B35F2B'],
+      ['304', 'Christmas Red Medium', '#B71F33'],
+      ['307', 'Lemon', '#FDED54'],
+      ['309', 'Rose Dark', '#BA4A4A'],
+      ['310', 'Black', '#000000'],
+      ['311', 'Wedgewood Ultra Very Dark', '#1C5066'],
+      ['312', 'Baby Blue Very Dark', '#35668B'],
+      ['315', 'Antique Mauve Medium Dark', '#814952'],
+      ['316', 'Antique Mauve Medium', '#B7737F'],
+      ['317', 'Pewter Gray', '#6C6C6C'],
+      ['318', 'Steel Gray Light', '#ABABAB'],
+      ['319', 'Pistachio Green Very Dark', '#205F2E'],
+      ['320', 'Pistachio Green Medium', '#69885A'],
+      ['321', 'Red', '#C72B3B'],
+      ['322', 'Baby Blue Dark', '#5A8FB8'],
+      ['326', 'Rose Very Dark', '#B33B4B'],
+      ['327', 'Violet Dark', '#633666'],
+      ['333', 'Blue Violet Very Dark', '#5C5478'],
+      ['334', 'Baby Blue Medium', '#739FC1'],
+      ['335', 'Rose', '#EE546E'],
+      ['336', 'Navy Blue', '#253B73'],
+      ['340', 'Blue Violet Medium', '#ADA7C7'],
+      ['341', 'Blue Violet Light', '#B7BFDD'],
+      ['347', 'Salmon Very Dark', '#BF1F2D'],
+      ['349', 'Coral Dark', '#D21035'],
+      ['350', 'Coral Medium', '#E04848'],
+      ['351', 'Coral', '#E96A67'],
+      ['352', 'Coral Light', '#FD9C97'],
+      ['353', 'Peach', '#FED7CC'],
+      ['355', 'Terra Cotta Dark', '#984436'],
+      ['356', 'Terra Cotta Medium', '#C56A5B'],
+      ['367', 'Pistachio Green Dark', '#617A52'],
+      ['368', 'Pistachio Green Light', '#A6C298'],
+      ['369', 'Pistachio Green Very Light', '#D7EDCC'],
+      ['370', 'Mustard Medium', '#B89D64'],
+      ['371', 'Mustard', '#BF9F6B'],
+      ['372', 'Mustard Light', '#CCB784'],
+      ['400', 'Mahogany Dark', '#8F430F'],
+      ['402', 'Mahogany Very Light', '#F7A777'],
+      ['407', 'Desert Sand Dark', '#BB8161'],
+      ['413', 'Pewter Gray Dark', '#565656'],
+      ['414', 'Steel Gray Dark', '#8C8C8C'],
+      ['415', 'Pearl Gray', '#D3D3D6'],
+      ['420', 'Hazelnut Brown Dark', '#A07042'],
+      ['422', 'Hazelnut Brown Light', '#C69F7B'],
+      ['433', 'Brown Medium', '#7A451F'],
+      ['434', 'Brown Light', '#985E33'],
+      ['435', 'Brown Very Light', '#B87748'],
+      ['436', 'Tan', '#CB9051'],
+      ['437', 'Tan Light', '#E4BB8E'],
+      ['444', 'Lemon Dark', '#FFD600'],
+      ['445', 'Lemon Light', '#FFFB8B'],
+      ['451', 'Shell Gray Dark', '#917B73'],
+      ['452', 'Shell Gray Medium', '#C0B3AE'],
+      ['453', 'Shell Gray Light', '#D7CECB'],
+      ['469', 'Avocado Green', '#72842C'],
+      ['470', 'Avocado Green Light', '#94AB4F'],
+      ['471', 'Avocado Green Very Light', '#AEBF79'],
+      ['472', 'Avocado Green Ultra Light', '#D8E496'],
+      ['498', 'Red Dark', '#A7132B'],
+      ['500', 'Blue Green Very Dark', '#044D33'],
+      ['501', 'Blue Green Dark', '#396F52'],
+      ['502', 'Blue Green', '#5B9071'],
+      ['503', 'Blue Green Medium', '#7BAC94'],
+      ['504', 'Blue Green Very Light', '#C4DECC'],
+      ['517', 'Wedgewood Dark', '#3B768F'],
+      ['518', 'Wedgewood Light', '#4F93A7'],
+      ['519', 'Sky Blue', '#7EB1C8'],
+      ['520', 'Fern Green Dark', '#666D4F'],
+      ['522', 'Fern Green', '#969E7E'],
+      ['523', 'Fern Green Light', '#ABB197'],
+      ['524', 'Fern Green Very Light', '#C4CDAC'],
+      ['535', 'Ash Gray Very Light', '#636458'],
+      ['543', 'Beige Brown Ultra Very Light', '#F2E3CE'],
+      ['550', 'Violet Very Dark', '#5C184E'],
+      ['552', 'Violet Medium', '#803A6B'],
+      ['553', 'Violet', '#A3638B'],
+      ['554', 'Violet Light', '#DBB3CB'],
+      ['561', 'Jade Very Dark', '#2C6A45'],
+      ['562', 'Jade Medium', '#538A6A'],
+      ['563', 'Jade Light', '#8FC0A0'],
+      ['564', 'Jade Very Light', '#A7CDAF'],
+      ['580', 'Moss Green Dark', '#888D33'],
+      ['581', 'Moss Green', '#A7AE38'],
+      ['597', 'Turquoise', '#5BA3B3'],
+      ['598', 'Turquoise Light', '#90C3CC'],
+      ['600', 'Cranberry Very Dark', '#CD2F63'],
+      ['601', 'Cranberry Dark', '#D1286A'],
+      ['602', 'Cranberry Medium', '#E24874'],
+      ['603', 'Cranberry', '#FFA4BE'],
+      ['604', 'Cranberry Light', '#FFB0BE'],
+      ['605', 'Cranberry Very Light', '#FFC0CD'],
+      ['606', 'Bright Orange-Red', '#FA3203'],
+      ['608', 'Bright Orange', '#FD5D35'],
+      ['610', 'Drab Brown Dark', '#796047'],
+      ['611', 'Drab Brown', '#967656'],
+      ['612', 'Drab Brown Light', '#BC9A78'],
+      ['613', 'Drab Brown Very Light', '#DCC4AA'],
+      ['632', 'Desert Sand Ultra Very Dark', '#875539'],
+      ['640', 'Beige Gray Very Dark', '#857F6C'],
+      ['642', 'Beige Gray Dark', '#A49878'],
+      ['644', 'Beige Gray Medium', '#DDD8CB'],
+      ['645', 'Beaver Gray Very Dark', '#6E655C'],
+      ['646', 'Beaver Gray Dark', '#877D73'],
+      ['647', 'Beaver Gray Medium', '#B0A69C'],
+      ['648', 'Beaver Gray Light', '#BCB4AC'],
+      ['666', 'Bright Red', '#E31D42'],
+      ['676', 'Old Gold Light', '#E5CE97'],
+      ['677', 'Old Gold Very Light', '#F5ECCB'],
+      ['680', 'Old Gold Dark', '#BC8D0E'],
+      ['699', 'Green', '#056517'],
+      ['700', 'Green Bright', '#07731B'],
+      ['701', 'Green Light', '#3F8F29'],
+      ['702', 'Kelly Green', '#47A72F'],
+      ['703', 'Chartreuse', '#7BB547'],
+      ['704', 'Chartreuse Bright', '#9ECF34'],
+      ['712', 'Cream', '#FFFBEF'],
+      ['718', 'Plum', '#9C2462'],
+      ['720', 'Orange Spice Dark', '#E55C0C'],
+      ['721', 'Orange Spice Medium', '#F27842'],
+      ['722', 'Orange Spice Light', '#F7976F'],
+      ['725', 'Topaz Medium Light', '#FFC840'],
+      ['726', 'Topaz Light', '#FDD755'],
+      ['727', 'Topaz Very Light', '#FFF1AF'],
+      ['728', 'Topaz', '#E4B468'],
+      ['729', 'Old Gold Medium', '#D0A53E'],
+      ['731', 'Olive Green Dark', '#827B30'],
+      ['732', 'Olive Green', '#948C36'],
+      ['733', 'Olive Green Medium', '#BCB34C'],
+      ['734', 'Olive Green Light', '#C7C063'],
+      ['738', 'Tan Very Light', '#ECCC9E'],
+      ['739', 'Tan Ultra Very Light', '#F8E4C8'],
+      ['740', 'Tangerine', '#FF8B00'],
+      ['741', 'Tangerine Medium', '#FFA32B'],
+      ['742', 'Tangerine Light', '#FFBF57'],
+      ['743', 'Yellow Medium', '#FED376'],
+      ['744', 'Yellow Pale', '#FFE793'],
+      ['745', 'Yellow Light Pale', '#FFE9AD'],
+      ['746', 'Off White', '#FCFCEE'],
+      ['747', 'Peacock Blue Very Light', '#E5FCFD'],
+      ['754', 'Peach Light', '#F7CBBF'],
+      ['758', 'Terra Cotta Very Light', '#EEAA9B'],
+      ['760', 'Salmon', '#F5ADAD'],
+      ['761', 'Salmon Light', '#FFC9C9'],
+      ['762', 'Pearl Gray Very Light', '#ECECEC'],
+      ['772', 'Yellow Green Very Light', '#E4ECD4'],
+      ['775', 'Baby Blue Very Light', '#D9EBF1'],
+      ['776', 'Pink Medium', '#FCB0B9'],
+      ['777', 'Deep Red', '#913546'],
+      ['778', 'Antique Mauve Very Light', '#DFB3BB'],
+      ['780', 'Topaz Ultra Very Dark', '#94631A'],
+      ['781', 'Topaz Very Dark', '#A26D20'],
+      ['782', 'Topaz Dark', '#AE7720'],
+      ['783', 'Topaz Medium', '#CE9124'],
+      ['791', 'Cornflower Blue Very Dark', '#464563'],
+      ['792', 'Cornflower Blue Dark', '#555B7B'],
+      ['793', 'Cornflower Blue Medium', '#707DA2'],
+      ['794', 'Cornflower Blue Light', '#8F9CC0'],
+      ['796', 'Royal Blue Dark', '#11416E'],
+      ['797', 'Royal Blue', '#13477D'],
+      ['798', 'Delft Blue Dark', '#466A8E'],
+      ['799', 'Delft Blue Medium', '#748EB6'],
+      ['800', 'Delft Blue Pale', '#C0CCE5'],
+      ['801', 'Coffee Brown Dark', '#653919'],
+      ['807', 'Peacock Blue', '#64ABBA'],
+      ['809', 'Delft Blue', '#94A8C6'],
+      ['813', 'Blue Light', '#A1C2D7'],
+      ['814', 'Garnet Dark', '#7B001B'],
+      ['815', 'Garnet Medium', '#87071F'],
+      ['816', 'Garnet', '#970B23'],
+      ['817', 'Coral Red Very Dark', '#BB051F'],
+      ['818', 'Baby Pink', '#FFDFD9'],
+      ['819', 'Baby Pink Light', '#FFEEEB'],
+      ['820', 'Royal Blue Very Dark', '#0E365C'],
+      ['822', 'Beige Gray Light', '#E7E2D3'],
+      ['823', 'Navy Blue Dark', '#213063'],
+      ['824', 'Blue Very Dark', '#396987'],
+      ['825', 'Blue Dark', '#477B9D'],
+      ['826', 'Blue Medium', '#6B9EBF'],
+      ['827', 'Blue Very Light', '#BDDDED'],
+      ['828', 'Sky Blue Very Light', '#C5E8ED'],
+      ['829', 'Golden Olive Very Dark', '#7E6A10'],
+      ['830', 'Golden Olive Dark', '#8D7819'],
+      ['831', 'Golden Olive Medium', '#AA8F34'],
+      ['832', 'Golden Olive', '#BD9B51'],
+      ['833', 'Golden Olive Light', '#C8AB6C'],
+      ['834', 'Golden Olive Very Light', '#DBBE7F'],
+      ['838', 'Beige Brown Very Dark', '#594937'],
+      ['839', 'Beige Brown Dark', '#675541'],
+      ['840', 'Beige Brown Medium', '#9A7C5C'],
+      ['841', 'Beige Brown Light', '#B69B7E'],
+      ['842', 'Beige Brown Very Light', '#D1BAA1'],
+      ['844', 'Beaver Gray Ultra Dark', '#484848'],
+      ['869', 'Hazelnut Brown Very Dark', '#83612A'],
+      ['890', 'Pistachio Green Ultra Very Dark', '#174923'],
+      ['891', 'Carnation Dark', '#FF3C57'],
+      ['892', 'Carnation Medium', '#FF5773'],
+      ['893', 'Carnation Light', '#FC90A2'],
+      ['894', 'Carnation Very Light', '#FFB2BB'],
+      ['895', 'Hunter Green Very Dark', '#1B5300'],
+      ['898', 'Coffee Brown Very Dark', '#492A13'],
+      ['899', 'Rose Medium', '#F27688'],
+      ['900', 'Burnt Orange Dark', '#D15807'],
+      ['902', 'Garnet Very Dark', '#822637'],
+      ['904', 'Parrot Green Very Dark', '#557822'],
+      ['905', 'Parrot Green Dark', '#627C25'],
+      ['906', 'Parrot Green Medium', '#7F8F21'],
+      ['907', 'Parrot Green Light', '#C7E666'],
+      ['909', 'Emerald Green Very Dark', '#156F49'],
+      ['910', 'Emerald Green Dark', '#188665'],
+      ['911', 'Emerald Green Medium', '#189065'],
+      ['912', 'Emerald Green Light', '#1BA367'],
+      ['913', 'Nile Green Medium', '#6DAB77'],
+      ['915', 'Plum Dark', '#820043'],
+      ['917', 'Plum Medium', '#9B1351'],
+      ['918', 'Red Copper Dark', '#82340A'],
+      ['919', 'Red Copper', '#A64510'],
+      ['920', 'Copper Medium', '#AC5430'],
+      ['921', 'Copper', '#C66238'],
+      ['922', 'Copper Light', '#E27323'],
+      ['924', 'Gray Green Very Dark', '#56656A'],
+      ['926', 'Gray Green Medium', '#98AEAE'],
+      ['927', 'Gray Green Light', '#BDCBCB'],
+      ['928', 'Gray Green Very Light', '#DDE3E3'],
+      ['930', 'Antique Blue Dark', '#455C71'],
+      ['931', 'Antique Blue Medium', '#6A859E'],
+      ['932', 'Antique Blue Light', '#A2B5C6'],
+      ['934', 'Black Avocado Green', '#313919'],
+      ['935', 'Avocado Green Dark', '#424D21'],
+      ['936', 'Avocado Green Very Dark', '#4C5826'],
+      ['937', 'Avocado Green Medium', '#627133'],
+      ['938', 'Coffee Brown Ultra Dark', '#361F0E'],
+      ['939', 'Navy Blue Very Dark', '#1B2853'],
+      ['943', 'Aquamarine Medium', '#3D9384'],
+      ['945', 'Tawny', '#FBD5BB'],
+      ['946', 'Burnt Orange Medium', '#EB6307'],
+      ['947', 'Burnt Orange', '#FF7B4D'],
+      ['948', 'Peach Very Light', '#FEE7DA'],
+      ['950', 'Desert Sand Light', '#EED3C4'],
+      ['951', 'Tawny Light', '#FFE2CF'],
+      ['954', 'Nile Green', '#88BA91'],
+      ['955', 'Nile Green Light', '#A2D6AD'],
+      ['956', 'Geranium', '#FF6F91'],
+      ['957', 'Geranium Pale', '#FDB5B5'],
+      ['958', 'Sea Green Dark', '#3EB6A1'],
+      ['959', 'Sea Green Medium', '#59C7B4'],
+      ['961', 'Dusty Rose Dark', '#CF7373'],
+      ['962', 'Dusty Rose Medium', '#E68A8A'],
+      ['963', 'Dusty Rose Ultra Very Light', '#FFD7D7'],
+      ['964', 'Sea Green Light', '#A9E2D8'],
+      ['966', 'Jade Ultra Very Light', '#B9D7C0'],
+      ['970', 'Pumpkin Light', '#F78B13'],
+      ['971', 'Pumpkin', '#F67F00'],
+      ['972', 'Canary Deep', '#FFB515'],
+      ['973', 'Canary Bright', '#FFE300'],
+      ['975', 'Golden Brown Dark', '#753F10'],
+      ['976', 'Golden Brown Medium', '#C28142'],
+      ['977', 'Golden Brown Light', '#DC9C56'],
+      ['986', 'Forest Green Very Dark', '#405230'],
+      ['987', 'Forest Green Dark', '#587141'],
+      ['988', 'Forest Green Medium', '#738B5B'],
+      ['989', 'Forest Green', '#8DA675'],
+      ['991', 'Aquamarine Dark', '#477B6E'],
+      ['992', 'Aquamarine Light', '#6FAE9F'],
+      ['993', 'Aquamarine Very Light', '#90C0B4'],
+      ['995', 'Electric Blue Dark', '#2696B6'],
+      ['996', 'Electric Blue Medium', '#30C2EC'],
+      ['3011', 'Khaki Green Dark', '#898A58'],
+      ['3012', 'Khaki Green Medium', '#A6A769'],
+      ['3013', 'Khaki Green Light', '#B9B982'],
+      ['3021', 'Brown Gray Very Dark', '#4F4B41'],
+      ['3022', 'Brown Gray Medium', '#8E9078'],
+      ['3023', 'Brown Gray Light', '#B1AA97'],
+      ['3024', 'Brown Gray Very Light', '#EBEAE7'],
+      ['3031', 'Mocha Brown Very Dark', '#4B3C2A'],
+      ['3032', 'Mocha Brown Medium', '#B39F8B'],
+      ['3033', 'Mocha Brown Very Light', '#E3D8CC'],
+      ['3045', 'Yellow Beige Dark', '#BC966A'],
+      ['3046', 'Yellow Beige Medium', '#D8BC9A'],
+      ['3047', 'Yellow Beige Light', '#E7D6C1'],
+      ['3064', 'Desert Sand', '#C48E70'],
+      ['3072', 'Beaver Gray Very Light', '#E6E8E8'],
+      ['3078', 'Golden Yellow Very Light', '#FDF9CD'],
+      ['3325', 'Baby Blue Light', '#B8D2E6'],
+      ['3326', 'Rose Light', '#FBADB4'],
+      ['3328', 'Salmon Dark', '#E36D6D'],
+      ['3340', 'Apricot Medium', '#FF836F'],
+      ['3341', 'Apricot', '#FCAB98'],
+      ['3345', 'Hunter Green Dark', '#1B5915'],
+      ['3346', 'Hunter Green', '#406A3A'],
+      ['3347', 'Yellow Green Medium', '#71935C'],
+      ['3348', 'Yellow Green Light', '#CCD9B1'],
+      ['3350', 'Dusty Rose Ultra Dark', '#BC4365'],
+      ['3354', 'Dusty Rose Light', '#E4A6AC'],
+      ['3362', 'Pine Green Dark', '#5E6B4C'],
+      ['3363', 'Pine Green Medium', '#728256'],
+      ['3364', 'Pine Green', '#83975F'],
+      ['3371', 'Black Brown', '#1E1108'],
+      ['3685', 'Mauve Very Dark', '#881531'],
+      ['3687', 'Mauve', '#C96B70'],
+      ['3688', 'Mauve Medium', '#E7A9AC'],
+      ['3689', 'Mauve Light', '#FBBFC2'],
+      ['3705', 'Melon Dark', '#FF7992'],
+      ['3706', 'Melon Medium', '#FFADBC'],
+      ['3708', 'Melon Light', '#FFCBD5'],
+      ['3712', 'Salmon Medium', '#F18787'],
+      ['3713', 'Salmon Very Light', '#FFE2E2'],
+      ['3716', 'Dusty Rose Medium Very Light', '#FFBDBD'],
+      ['3721', 'Shell Pink Dark', '#A14B51'],
+      ['3722', 'Shell Pink Medium', '#BC6C64'],
+      ['3726', 'Antique Mauve Dark', '#9B5B66'],
+      ['3727', 'Antique Mauve Light', '#DBA9B2'],
+      ['3731', 'Dusty Rose Very Dark', '#DA6783'],
+      ['3733', 'Dusty Rose', '#E8879B'],
+      ['3740', 'Antique Violet Dark', '#785762'],
+      ['3743', 'Antique Violet Very Light', '#D7CBD3'],
+      ['3747', 'Blue Violet Very Light', '#D3D7ED'],
+      ['3750', 'Antique Blue Very Dark', '#384C5E'],
+      ['3752', 'Antique Blue Very Light', '#C7D1DB'],
+      ['3753', 'Antique Blue Ultra Very Light', '#DBE2E9'],
+      ['3755', 'Baby Blue', '#93B4CE'],
+      ['3756', 'Baby Blue Ultra Very Light', '#EEFCFC'],
+      ['3760', 'Wedgewood Medium', '#3E85A2'],
+      ['3761', 'Sky Blue Light', '#ACD8E2'],
+      ['3765', 'Peacock Blue Very Dark', '#347F8C'],
+      ['3766', 'Peacock Blue Light', '#99CFD9'],
+      ['3768', 'Gray Green Dark', '#657F7F'],
+      ['3770', 'Tawny Very Light', '#FFEEE3'],
+      ['3772', 'Desert Sand Very Dark', '#A06C50'],
+      ['3773', 'Desert Sand Medium', '#B67552'],
+      ['3774', 'Desert Sand Very Light', '#F3E1D7'],
+      ['3776', 'Mahogany Light', '#CF7939'],
+      ['3777', 'Terra Cotta Very Dark', '#863022'],
+      ['3778', 'Terra Cotta Light', '#D98978'],
+      ['3779', 'Terra Cotta Ultra Very Light', '#F8CAC8'],
+      ['3781', 'Mocha Brown Dark', '#6B5743'],
+      ['3782', 'Mocha Brown Light', '#94715D'],
+      ['3787', 'Brown Gray Dark', '#625D50'],
+      ['3790', 'Beige Gray Ultra Dark', '#7F6A55'],
+      ['3799', 'Pewter Gray Very Dark', '#424242'],
+      ['3801', 'Melon Very Dark', '#E74967'],
+      ['3802', 'Antique Mauve Very Dark', '#714149'],
+      ['3803', 'Mauve Dark', '#AB3357'],
+      ['3804', 'Cyclamen Pink Dark', '#E02876'],
+      ['3805', 'Cyclamen Pink', '#F3478B'],
+      ['3806', 'Cyclamen Pink Light', '#FF8CAE'],
+      ['3807', 'Cornflower Blue', '#60678C'],
+      ['3808', 'Turquoise Ultra Very Dark', '#366970'],
+      ['3809', 'Turquoise Very Dark', '#3F7C85'],
+      ['3810', 'Turquoise Dark', '#488E9A'],
+      ['3811', 'Turquoise Very Light', '#BCE3E6'],
+      ['3812', 'Sea Green Very Dark', '#2F8C84'],
+      ['3813', 'Blue Green Light', '#B2D4BD'],
+      ['3814', 'Aquamarine', '#508B7D'],
+      ['3815', 'Celadon Green Dark', '#477759'],
+      ['3816', 'Celadon Green', '#65A57D'],
+      ['3817', 'Celadon Green Light', '#99C3AA'],
+      ['3818', 'Emerald Green Ultra Very Dark', '#115A3B'],
+      ['3819', 'Moss Green Light', '#E0E868'],
+      ['3820', 'Straw Dark', '#DFB65F'],
+      ['3821', 'Straw', '#F3CE75'],
+      ['3822', 'Straw Light', '#F6DC98'],
+      ['3823', 'Yellow Ultra Pale', '#FFFDE3'],
+      ['3824', 'Apricot Light', '#FECDC2'],
+      ['3825', 'Pumpkin Pale', '#FDBD96'],
+      ['3826', 'Golden Brown', '#AD7239'],
+      ['3827', 'Golden Brown Pale', '#F7BB77'],
+      ['3828', 'Hazelnut Brown', '#B78B61'],
+      ['3829', 'Old Gold Very Dark', '#A98204'],
+      ['3830', 'Terra Cotta', '#B95544'],
+      ['3831', 'Raspberry Dark', '#B32F48'],
+      ['3832', 'Raspberry Medium', '#DB556E'],
+      ['3833', 'Raspberry Light', '#EA8699'],
+      ['3834', 'Grape Dark', '#72375D'],
+      ['3835', 'Grape Medium', '#946083'],
+      ['3836', 'Grape Light', '#BA91AA'],
+      ['3837', 'Lavender Ultra Dark', '#6C3A6E'],
+      ['3838', 'Lavender Blue Dark', '#5C7294'],
+      ['3839', 'Lavender Blue Medium', '#7B8EAB'],
+      ['3840', 'Lavender Blue Light', '#B0C0DA'],
+      ['3841', 'Baby Blue Pale', '#CDDFED'],
+      ['3842', 'Wedgewood Very Dark', '#32667C'],
+      ['3843', 'Electric Blue', '#14AAD0'],
+      ['3844', 'Bright Turquoise Dark', '#12AEBA'],
+      ['3845', 'Bright Turquoise Medium', '#04C4CA'],
+      ['3846', 'Bright Turquoise Light', '#06E3E6'],
+      ['3847', 'Teal Green Dark', '#347D75'],
+      ['3848', 'Teal Green Medium', '#559392'],
+      ['3849', 'Teal Green Light', '#52B3A4'],
+      ['3850', 'Bright Green Dark', '#378477'],
+      ['3851', 'Bright Green Light', '#49B3A1'],
+      ['3852', 'Straw Very Dark', '#CD9D37'],
+      ['3853', 'Autumn Gold Dark', '#F29746'],
+      ['3854', 'Autumn Gold Medium', '#F2AF68'],
+      ['3855', 'Autumn Gold Light', '#FAD396'],
+      ['3856', 'Mahogany Ultra Very Light', '#FFD3B5'],
+      ['3857', 'Rosewood Dark', '#68251A'],
+      ['3858', 'Rosewood Medium', '#96493E'],
+      ['3859', 'Rosewood Light', '#BA8B7C'],
+      ['3860', 'Cocoa', '#7D5D57'],
+      ['3861', 'Cocoa Light', '#A68881'],
+      ['3862', 'Mocha Beige Dark', '#8A6E4E'],
+      ['3863', 'Mocha Beige Medium', '#A4835C'],
+      ['3864', 'Mocha Beige Light', '#CBB18C'],
+      ['3865', 'Winter White', '#F9F7F1'],
+      ['3866', 'Mocha Brown Ultra Very Light', '#FAF6F0']
+    ]
+  },
+  appleton: {
+    name: 'Appleton',
+    label: 'Appleton Crewel Wool',
+    // 25 m skeins of single-strand crewel
+    skeinYards: 27.3,
+    skeinStrands: 1,
+    strandsByMesh: { 12: 4, 18: 2 },
+    colors: [
+      ['991B', 'Bright White', '#FFFFFF'],
+      ['992', 'Off White', '#F4F0E2'],
+      ['882', 'Cream', '#EFE6CC'],
+      ['993', 'Black', '#111111'],
+      ['961', 'Elephant Grey', '#C9C6BE'],
+      ['963', 'Elephant Grey', '#A09C92'],
+      ['965', 'Elephant Grey', '#77736B'],
+      ['967', 'Elephant Grey', '#514E48'],
+      ['969', 'Elephant Grey', '#33312E'],
+      ['972', 'Charcoal', '#8C8C8F'],
+      ['974', 'Charcoal', '#5E5F63'],
+      ['976', 'Charcoal', '#3E3F43'],
+      ['981', 'Putty Groundings', '#E3DAC5'],
+      ['983', 'Putty Groundings', '#C9BC9E'],
+      ['985', 'Putty Groundings', '#A4957A'],
+      ['987', 'Putty Groundings', '#7C6E58'],
+      ['761', 'Biscuit Brown', '#E8D3AE'],
+      ['763', 'Biscuit Brown', '#CFAE7E'],
+      ['765', 'Biscuit Brown', '#A57E4E'],
+      ['181', 'Chocolate', '#B08462'],
+      ['183', 'Chocolate', '#875C3E'],
+      ['185', 'Chocolate', '#633F27'],
+      ['187', 'Chocolate', '#3F2818'],
+      ['911', 'Fawn', '#E1C8A6'],
+      ['913', 'Fawn', '#BF9B73'],
+      ['915', 'Fawn', '#8F6B47'],
+      ['701', 'Flesh Tints', '#F6DCCB'],
+      ['703', 'Flesh Tints', '#EBBFA4'],
+      ['705', 'Flesh Tints', '#D89E80'],
+      ['708', 'Flesh Tints', '#B06E55'],
+      ['501', 'Scarlet', '#E3786B'],
+      ['503', 'Scarlet', '#CF3A31'],
+      ['504', 'Scarlet', '#B82421'],
+      ['505', 'Scarlet', '#9A1A1A'],
+      ['201', 'Flame Red', '#F09A82'],
+      ['204', 'Flame Red', '#D6452E'],
+      ['207', 'Flame Red', '#A62A1C'],
+      ['209', 'Flame Red', '#6E1A13'],
+      ['861', 'Coral', '#F5B8A2'],
+      ['863', 'Coral', '#E8856A'],
+      ['866', 'Coral', '#C24A32'],
+      ['941', 'Bright Rose Pink', '#F6C9D2'],
+      ['943', 'Bright Rose Pink', '#E890A6'],
+      ['945', 'Bright Rose Pink', '#CC4F74'],
+      ['948', 'Bright Rose Pink', '#8E1F45'],
+      ['751', 'Rose Pink', '#F0CDCB'],
+      ['755', 'Rose Pink', '#C77E80'],
+      ['759', 'Rose Pink', '#7D3140'],
+      ['101', 'Purple', '#C4A9C9'],
+      ['103', 'Purple', '#8F6AA0'],
+      ['105', 'Purple', '#5E3D77'],
+      ['106', 'Purple', '#42285A'],
+      ['451', 'Bright Mauve', '#E1C2DB'],
+      ['454', 'Bright Mauve', '#A86A9C'],
+      ['457', 'Bright Mauve', '#6A2F62'],
+      ['561', 'Sky Blue', '#CDE0EC'],
+      ['563', 'Sky Blue', '#94BAD4'],
+      ['565', 'Sky Blue', '#5A88AE'],
+      ['568', 'Sky Blue', '#274F78'],
+      ['461', 'Cornflower', '#B8C7E4'],
+      ['463', 'Cornflower', '#7C93C9'],
+      ['465', 'Cornflower', '#45599D'],
+      ['821', 'Royal Blue', '#9FB2DA'],
+      ['823', 'Royal Blue', '#4E66AA'],
+      ['826', 'Royal Blue', '#1D2C66'],
+      ['851', 'Bright Peacock Blue', '#B7DCDD'],
+      ['854', 'Bright Peacock Blue', '#3F8E97'],
+      ['857', 'Bright Peacock Blue', '#17525C'],
+      ['521', 'Turquoise', '#B9E0D8'],
+      ['524', 'Turquoise', '#4CA69A'],
+      ['527', 'Turquoise', '#1C6B64'],
+      ['251', 'Grass Green', '#C8DBA0'],
+      ['253', 'Grass Green', '#8DB35C'],
+      ['255', 'Grass Green', '#5A8530'],
+      ['256', 'Grass Green', '#3E6420'],
+      ['401', 'Bright China Blue', '#C3D3E8'],
+      ['831', 'Leaf Green', '#D5DFA8'],
+      ['833', 'Leaf Green', '#A4B968'],
+      ['835', 'Leaf Green', '#6D8A36'],
+      ['641', 'Early English Green', '#D3DFB5'],
+      ['644', 'Early English Green', '#7E9A56'],
+      ['647', 'Early English Green', '#3C5A2A'],
+      ['331', 'Drab Green', '#D5D3B0'],
+      ['334', 'Drab Green', '#97946A'],
+      ['338', 'Drab Green', '#4F4D32'],
+      ['311', 'Brown Olive', '#CBC08E'],
+      ['313', 'Brown Olive', '#9D8E56'],
+      ['316', 'Brown Olive', '#5D5128'],
+      ['551', 'Bright Yellow', '#FFF2A0'],
+      ['553', 'Bright Yellow', '#FCDD4C'],
+      ['556', 'Bright Yellow', '#E0A81A'],
+      ['471', 'Autumn Yellow', '#F9DC9A'],
+      ['474', 'Autumn Yellow', '#E6AB4B'],
+      ['477', 'Autumn Yellow', '#B9781E'],
+      ['479', 'Autumn Yellow', '#7F4F13'],
+      ['441', 'Bright Terra Cotta', '#F4C1A1'],
+      ['444', 'Bright Terra Cotta', '#D2774A'],
+      ['447', 'Bright Terra Cotta', '#9A4322']
+    ]
+  },
+  paternayan: {
+    name: 'Paternayan',
+    label: 'Paternayan Persian Yarn',
+    // 8 yd skeins of 3-ply Persian
+    skeinYards: 8,
+    skeinStrands: 3,
+    strandsByMesh: { 12: 3, 18: 2 },
+    colors: [
+      ['260', 'White', '#FCFBF6'],
+      ['261', 'Winter White', '#F5F0E1'],
+      ['263', 'Cream', '#EEE4C8'],
+      ['220', 'Black', '#141414'],
+      ['221', 'Charcoal', '#3A3A3C'],
+      ['200', 'Charcoal', '#55565A'],
+      ['201', 'Pearl Gray', '#7C7D81'],
+      ['202', 'Pearl Gray', '#A3A4A6'],
+      ['203', 'Pearl Gray', '#C6C6C5'],
+      ['204', 'Pearl Gray', '#DADAD7'],
+      ['210', 'Pewter', '#5E615F'],
+      ['212', 'Pewter', '#8E918C'],
+      ['213', 'Pewter', '#B6B8B1'],
+      ['402', 'Toast', '#7A4E2D'],
+      ['403', 'Toast', '#9A6A42'],
+      ['404', 'Toast', '#B88A5E'],
+      ['405', 'Toast', '#D4AE85'],
+      ['420', 'Coffee Brown', '#4A3222'],
+      ['421', 'Coffee Brown', '#66472F'],
+      ['433', 'Chocolate', '#7B5A43'],
+      ['434', 'Chocolate', '#9C7A5E'],
+      ['490', 'Beige Brown', '#8E7A60'],
+      ['492', 'Beige Brown', '#BCA888'],
+      ['494', 'Beige Brown', '#DDD0B6'],
+      ['900', 'American Beauty', '#8A1E3C'],
+      ['902', 'American Beauty', '#B43C5E'],
+      ['904', 'American Beauty', '#DC7D95'],
+      ['905', 'American Beauty', '#EFAFBE'],
+      ['906', 'American Beauty', '#F7D2DA'],
+      ['930', 'Rusty Rose', '#7C2B2F'],
+      ['932', 'Rusty Rose', '#A8555A'],
+      ['934', 'Rusty Rose', '#CF8F8E'],
+      ['936', 'Rusty Rose', '#EDC6C2'],
+      ['940', 'Cranberry', '#7D1425'],
+      ['941', 'Cranberry', '#981A2F'],
+      ['942', 'Cranberry', '#B52B40'],
+      ['950', 'Strawberry', '#A01D24'],
+      ['951', 'Strawberry', '#C42A31'],
+      ['952', 'Strawberry', '#DE4E4E'],
+      ['954', 'Strawberry', '#F28C84'],
+      ['968', 'Christmas Red', '#C1171F'],
+      ['970', 'Christmas Red', '#D5212A'],
+      ['850', 'Red Earth', '#83321A'],
+      ['852', 'Red Earth', '#B5552F'],
+      ['854', 'Red Earth', '#D88A62'],
+      ['860', 'Copper', '#8F3E14'],
+      ['862', 'Copper', '#C1621F'],
+      ['864', 'Copper', '#E39254'],
+      ['810', 'Pumpkin', '#C44D12'],
+      ['812', 'Pumpkin', '#E8731F'],
+      ['814', 'Pumpkin', '#F5A15A'],
+      ['800', 'Marigold', '#D8830F'],
+      ['802', 'Marigold', '#F1A22C'],
+      ['804', 'Marigold', '#F8C46C'],
+      ['770', 'Old Gold', '#A97B1A'],
+      ['771', 'Old Gold', '#C9972B'],
+      ['773', 'Old Gold', '#E3C068'],
+      ['712', 'Lemon', '#F5D931'],
+      ['714', 'Lemon', '#FAE878'],
+      ['715', 'Lemon', '#FCF2AE'],
+      ['600', 'Hunter Green', '#1F3E26'],
+      ['601', 'Hunter Green', '#2C5534'],
+      ['602', 'Hunter Green', '#3E6D45'],
+      ['603', 'Hunter Green', '#5A8A5D'],
+      ['610', 'Forest Green', '#3A5A2E'],
+      ['612', 'Forest Green', '#5F8148'],
+      ['614', 'Forest Green', '#93AE74'],
+      ['690', 'Loden Green', '#4E5229'],
+      ['692', 'Loden Green', '#767A43'],
+      ['694', 'Loden Green', '#A3A673'],
+      ['695', 'Loden Green', '#C7C89F'],
+      ['670', 'Spring Green', '#5F8E2C'],
+      ['672', 'Spring Green', '#8DB64A'],
+      ['674', 'Spring Green', '#BCD98A'],
+      ['520', 'Teal Blue', '#1D4E57'],
+      ['521', 'Teal Blue', '#2E6A73'],
+      ['522', 'Teal Blue', '#4C8B92'],
+      ['523', 'Teal Blue', '#7FB1B3'],
+      ['500', 'Navy Blue', '#1B2443'],
+      ['501', 'Navy Blue', '#27335A'],
+      ['502', 'Navy Blue', '#3A4A77'],
+      ['540', 'Cobalt Blue', '#1E3E8A'],
+      ['541', 'Cobalt Blue', '#2E55A6'],
+      ['542', 'Cobalt Blue', '#5078BF'],
+      ['543', 'Cobalt Blue', '#86A2D6'],
+      ['544', 'Cobalt Blue', '#B6C8E6'],
+      ['550', 'Ice Blue', '#3D7CA8'],
+      ['552', 'Ice Blue', '#78A9CB'],
+      ['554', 'Ice Blue', '#B3D0E3'],
+      ['555', 'Ice Blue', '#D5E5EF'],
+      ['310', 'Grape', '#3E2047'],
+      ['311', 'Grape', '#55305F'],
+      ['312', 'Grape', '#744C7D'],
+      ['314', 'Grape', '#A58AAE'],
+      ['320', 'Plum', '#4F1C3A'],
+      ['322', 'Plum', '#7E3E63'],
+      ['325', 'Plum', '#C7A0B6']
+    ]
+  }
+};